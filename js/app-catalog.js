@@ -0,0 +1,214 @@
+/**
+ * App Catalog - Renders the apps & games grid from the assets/apps.json
+ * manifest so that adding a new app only takes one manifest entry
+ */
+
+// Store badges shared by every live app card
+const STORE_BADGES = {
+    appStore: {
+        className: 'app-store',
+        labelKey: 'apps.common.appStore',
+        label: 'App Store',
+        iconPath: 'M18.71 19.5C17.88 20.74 17 21.95 15.66 21.97C14.32 22 13.89 21.18 12.37 21.18C10.84 21.18 10.37 21.95 9.09997 22C7.78997 22.05 6.79997 20.68 5.95997 19.47C4.24997 17 2.93997 12.45 4.69997 9.39C5.56997 7.87 7.13997 6.91 8.85997 6.88C10.15 6.85 11.36 7.74 12.1 7.74C12.83 7.74 14.3 6.68 15.85 6.84C16.48 6.87 18.29 7.13 19.56 8.91C19.47 8.97 17.39 10.3 17.41 13.42C17.44 17.18 20.76 18.5 20.76 18.5C20.76 18.5 20.17 20.87 18.71 19.5ZM13 3.5C13.73 2.67 14.94 2.04 15.94 2C16.07 3.17 15.6 4.35 14.9 5.19C14.21 6.04 13.07 6.7 11.95 6.61C11.8 5.46 12.36 4.26 13 3.5Z'
+    },
+    googlePlay: {
+        className: 'google-play',
+        labelKey: 'apps.common.googlePlay',
+        label: 'Google Play',
+        iconPath: 'M3,20.5V3.5C3,2.91 3.34,2.39 3.84,2.15L13.69,12L3.84,21.85C3.34,21.6 3,21.09 3,20.5M16.81,15.12L6.05,21.34L14.54,12.85L16.81,15.12M20.16,10.81C20.5,11.08 20.75,11.5 20.75,12C20.75,12.5 20.5,12.92 20.16,13.19L17.89,14.5L15.39,12L17.89,9.5L20.16,10.81M6.05,2.66L16.81,8.88L14.54,11.15L6.05,2.66Z'
+    }
+};
+
+// Fallback labels for policy links, translated via apps.common.<doc>
+const POLICY_LABELS = {
+    privacy: 'Privacy Policy',
+    terms: 'Terms of Service'
+};
+
+class AppCatalog {
+    constructor() {
+        this.manifest = null;
+        this.manifestPromise = null;
+    }
+
+    mount() {
+        // Called by the site core (js/core.js) once the DOM and the strings are ready
+        return this.render();
+    }
+
+    async loadManifest(manifestPath = 'assets/apps.json') {
+        // Share a single request between the grid and any other consumer
+        if (!this.manifestPromise) {
+            this.manifestPromise = fetch(manifestPath)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(manifest => {
+                    this.manifest = manifest;
+                    return manifest;
+                })
+                .catch(error => {
+                    // Allow a later call to retry
+                    this.manifestPromise = null;
+                    throw error;
+                });
+        }
+
+        return this.manifestPromise;
+    }
+
+    async render() {
+        const grid = document.querySelector('.apps-section .apps-grid[data-apps-manifest]');
+
+        if (!grid) {
+            return; // No catalog on this page
+        }
+
+        try {
+            const manifest = await this.loadManifest(grid.getAttribute('data-apps-manifest'));
+            grid.innerHTML = manifest.apps.map(app => this.renderCard(app)).join('\n');
+            this.updateAppCount(grid, manifest);
+
+            // Apply current translations to the freshly rendered cards
+            if (window.localizationManager) {
+                window.localizationManager.updateTranslations();
+            }
+
+            // Let other scripts (animations) pick up the new cards
+            siteCore.emit('appCatalogRendered', {
+                cards: Array.from(grid.querySelectorAll('.app-card'))
+            });
+        } catch (error) {
+            console.error('Error loading app catalog:', error);
+        }
+    }
+
+    updateAppCount(grid, manifest) {
+        // "3 apps available now" - the plural form comes from the locale string
+        const appCount = grid.closest('.apps-section').querySelector('.apps-count');
+        if (!appCount) {
+            return;
+        }
+
+        const liveApps = manifest.apps.filter(app => app.status === 'live').length;
+        appCount.setAttribute('data-key-args', JSON.stringify({ count: liveApps }));
+        appCount.hidden = false;
+    }
+
+    renderCard(app) {
+        const isComingSoon = app.status === 'coming-soon';
+        const name = MessageFormat.escapeHtml(app.name);
+
+        // The app's own palette (apps.json "accent"), see js/theme.js
+        const accent = app.accent ? ` data-accent style="${MessageFormat.escapeHtml(ThemeManager.getAccentStyle(app.accent))}"` : '';
+
+        return `
+            <div class="app-card${isComingSoon ? ' coming-soon' : ''}" data-app-id="${MessageFormat.escapeHtml(app.id)}"${accent}>
+                ${this.renderIcon(app)}
+                <div class="app-info">
+                    <h3>${name}</h3>
+                    <p class="app-category" data-key="${MessageFormat.escapeHtml(app.categoryKey)}"></p>
+                    <p class="app-description" data-key="${MessageFormat.escapeHtml(app.descriptionKey)}"></p>
+                    ${isComingSoon ? this.renderComingSoonBadge() + this.renderRoadmapLink(app) : this.renderStoreLinks(app) + this.renderPolicyLinks(app)}
+                </div>
+            </div>`;
+    }
+
+    renderIcon(app) {
+        if (app.icon) {
+            return `
+                <div class="app-icon-container">
+                    <img src="${MessageFormat.escapeHtml(app.icon)}" alt="${MessageFormat.escapeHtml(app.name)}"
+                        style="width: 60px; height: 60px; border-radius: 16px;">
+                </div>`;
+        }
+
+        // Coming-soon apps use a gradient tile with an inline glyph
+        const placeholder = app.placeholderIcon || {};
+        const [from, to] = placeholder.gradient || ['#8b5cf6', '#3b82f6'];
+
+        return `
+            <div class="app-icon-container"
+                style="background: linear-gradient(135deg, ${MessageFormat.escapeHtml(from)} 0%, ${MessageFormat.escapeHtml(to)} 100%);">
+                <svg width="32" height="32" viewBox="0 0 24 24" fill="none">
+                    <path d="${MessageFormat.escapeHtml(placeholder.path || '')}" fill="white" />
+                </svg>
+            </div>`;
+    }
+
+    renderStoreLinks(app) {
+        const stores = app.stores || {};
+        const links = Object.keys(STORE_BADGES)
+            .filter(store => stores[store])
+            .map(store => {
+                const badge = STORE_BADGES[store];
+                return `
+                    <a href="${MessageFormat.escapeHtml(stores[store])}" class="app-link ${badge.className}" target="_blank">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="${badge.iconPath}" />
+                        </svg>
+                        <span data-key="${badge.labelKey}">${badge.label}</span>
+                    </a>`;
+            });
+
+        return links.length ? `<div class="app-links">${links.join('')}</div>` : '';
+    }
+
+    renderPolicyLinks(app) {
+        const policies = app.policies || {};
+        const links = Object.keys(policies).map(doc => `
+            <a href="${MessageFormat.escapeHtml(this.getPolicyUrl(app.id, doc))}" class="policy-link"
+                data-key="apps.common.${MessageFormat.escapeHtml(doc)}">${POLICY_LABELS[doc] || doc}</a>`);
+
+        return links.length ? `<div class="app-policies">${links.join('')}</div>` : '';
+    }
+
+    getPolicyUrl(appId, doc) {
+        return `policy.html?app=${encodeURIComponent(appId)}&doc=${encodeURIComponent(doc)}`;
+    }
+
+    listPolicies() {
+        // Every document of the studio and the apps, in manifest order
+        return [this.manifest.studio, ...this.manifest.apps]
+            .filter(owner => owner && owner.policies)
+            .flatMap(owner => Object.keys(owner.policies).map(doc => ({ owner, doc, policy: owner.policies[doc] })));
+    }
+
+    findPolicy(appId, doc) {
+        // The studio's own website policies live next to the apps list
+        const owner = appId === 'studio'
+            ? this.manifest.studio
+            : this.manifest.apps.find(app => app.id === appId);
+        const policy = owner && owner.policies && owner.policies[doc];
+
+        return policy ? { owner, policy } : null;
+    }
+
+    renderComingSoonBadge() {
+        return `
+            <div class="coming-soon-badge">
+                <span data-key="apps.common.comingSoon">🚀 Coming Soon</span>
+            </div>`;
+    }
+
+    renderRoadmapLink(app) {
+        // What is being built for the app, see roadmap.html
+        return `
+            <a href="roadmap.html?app=${encodeURIComponent(app.id)}" class="text-link coming-soon-roadmap"
+                data-key="apps.common.roadmap">See what's planned</a>`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // The Node build (scripts/prerender.js) renders the cards and lists the policies with it
+    module.exports = AppCatalog;
+} else {
+    // Initialize the app catalog, mounted by the site core (js/core.js)
+    const appCatalog = siteCore.register('appCatalog', new AppCatalog());
+
+    // Export for use in other scripts
+    window.appCatalog = appCatalog;
+}
@@ -0,0 +1,348 @@
+/**
+ * Bug Report - Guided bug report on contact.html. Walks the visitor through
+ * what happened, what they expected, the steps and their device (filled in
+ * from the browser, editable), then hands a consistently formatted report to
+ * the contact form (js/contact-form.js) as mailto text or JSON payload.
+ */
+
+// Best-effort user agent rules, the visitor can correct the result
+const OS_PATTERNS = [
+    [/iPhone OS (\d+)[_.](\d+)/, match => `iOS ${match[1]}.${match[2]}`, 'ios'],
+    [/iPad.*? OS (\d+)[_.](\d+)/, match => `iPadOS ${match[1]}.${match[2]}`, 'ios'],
+    [/Android (\d+(?:\.\d+)?)/, match => `Android ${match[1]}`, 'android'],
+    [/Windows NT 10\.0/, () => 'Windows 10/11', null],
+    [/Windows NT (\d+\.\d+)/, match => `Windows NT ${match[1]}`, null],
+    [/Mac OS X (\d+)[_.](\d+)/, match => `macOS ${match[1]}.${match[2]}`, null],
+    [/CrOS/, () => 'ChromeOS', null],
+    [/Linux/, () => 'Linux', null]
+];
+
+// Order matters: Edge and Opera also send "Chrome/", Chrome also sends "Safari/"
+const BROWSER_PATTERNS = [
+    [/Edg(?:A|iOS)?\/(\d+)/, 'Edge'],
+    [/OPR\/(\d+)/, 'Opera'],
+    [/SamsungBrowser\/(\d+)/, 'Samsung Internet'],
+    [/CriOS\/(\d+)/, 'Chrome'],
+    [/FxiOS\/(\d+)/, 'Firefox'],
+    [/Firefox\/(\d+)/, 'Firefox'],
+    [/Chrome\/(\d+)/, 'Chrome'],
+    [/Version\/(\d+(?:\.\d+)?).*Safari/, 'Safari']
+];
+
+class BugReport {
+    constructor() {
+        this.fieldset = null;
+        this.steps = [];
+        this.currentStep = 0;
+        this.active = false;
+
+        // Ids of the "steps to reproduce" inputs, never reused so error messages stay attached
+        this.stepInputCount = 0;
+    }
+
+    mount() {
+        this.fieldset = document.getElementById('bug-report');
+        if (!this.fieldset || !window.contactForm || !window.contactForm.form) {
+            return; // No bug report on this page
+        }
+
+        this.form = window.contactForm.form;
+        this.steps = Array.from(this.fieldset.querySelectorAll('.bug-report-step'));
+        this.stepList = this.fieldset.querySelector('.bug-report-steps');
+
+        this.addStepInput();
+        this.fillDeviceInfo();
+        this.setupEventListeners();
+
+        window.contactForm.registerBuilder('bug', this);
+    }
+
+    setupEventListeners() {
+        this.fieldset.querySelector('.bug-report-next').addEventListener('click', () => {
+            this.next();
+        });
+
+        this.fieldset.querySelector('.bug-report-back').addEventListener('click', () => {
+            this.showStep(this.currentStep - 1);
+        });
+
+        this.fieldset.querySelector('.bug-report-add').addEventListener('click', () => {
+            this.addStepInput().focus();
+        });
+
+        this.stepList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.bug-report-remove');
+            if (removeButton) {
+                this.removeStepInput(removeButton.closest('li'));
+            }
+        });
+
+        // Enter in the last step input adds another one, like a list in a text editor
+        this.stepList.addEventListener('keydown', (e) => {
+            const input = e.target;
+            if (e.key === 'Enter' && input.name === 'step' && input.value.trim()) {
+                e.preventDefault();
+                const items = Array.from(this.stepList.children);
+                const item = input.closest('li');
+                const nextItem = items[items.indexOf(item) + 1];
+
+                (nextItem ? nextItem.querySelector('input') : this.addStepInput()).focus();
+            }
+        });
+
+        siteCore.on('languageChanged', () => {
+            this.updateStepLabels();
+            this.updateProgress();
+            this.renderPreview();
+        });
+    }
+
+    setActive(active) {
+        // Called by ContactForm whenever the topic changes
+        this.active = active;
+        this.updateProgress();
+    }
+
+    showStep(index) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== this.currentStep;
+        });
+
+        if (this.isLastStep()) {
+            this.renderPreview();
+        }
+
+        this.updateProgress();
+    }
+
+    next() {
+        // Only move on when the fields of this step are filled in correctly
+        const fields = Array.from(this.steps[this.currentStep].querySelectorAll('.form-control'));
+        const invalid = fields.filter(field => !window.contactForm.validateField(field));
+
+        if (invalid.length) {
+            invalid[0].focus();
+            return;
+        }
+
+        this.showStep(this.currentStep + 1);
+
+        const firstField = this.steps[this.currentStep].querySelector('.form-control');
+        (firstField || this.fieldset.querySelector('.bug-report-progress')).focus();
+    }
+
+    isLastStep() {
+        return this.currentStep === this.steps.length - 1;
+    }
+
+    beforeSubmit() {
+        // Enter in a field moves on until the report has been reviewed
+        if (!this.isLastStep()) {
+            this.next();
+            return false;
+        }
+        return true;
+    }
+
+    reveal(field) {
+        // Open the step holding a field the contact form found invalid
+        const stepIndex = this.steps.findIndex(step => step.contains(field));
+        if (stepIndex !== -1) {
+            this.showStep(stepIndex);
+        }
+    }
+
+    reset() {
+        this.stepList.innerHTML = '';
+        this.addStepInput();
+        this.fillDeviceInfo();
+        this.showStep(0);
+    }
+
+    updateProgress() {
+        // "Step 2 of 4: Steps to reproduce"; the form's own send button only on the review step
+        this.form.querySelector('.contact-submit').hidden = this.active && !this.isLastStep();
+
+        this.fieldset.querySelector('.bug-report-back').hidden = this.currentStep === 0;
+        this.fieldset.querySelector('.bug-report-next').hidden = this.isLastStep();
+
+        const step = this.steps[this.currentStep];
+        this.fieldset.querySelector('.bug-report-progress').textContent = this.t('contact.bugReport.progress', {
+            current: this.currentStep + 1,
+            total: this.steps.length,
+            title: this.t(`contact.bugReport.stepTitles.${step.getAttribute('data-step')}`)
+        });
+    }
+
+    addStepInput(value = '') {
+        const id = `bug-step-${++this.stepInputCount}`;
+        const item = document.createElement('li');
+        item.className = 'form-field';
+        item.innerHTML = `
+            <div class="bug-report-step-row">
+                <input type="text" id="${id}" name="step" class="form-control" maxlength="300" autocomplete="off">
+                <button type="button" class="bug-report-remove">×</button>
+            </div>`;
+
+        const input = item.querySelector('input');
+        input.value = value;
+        this.stepList.appendChild(item);
+        this.updateStepLabels();
+
+        return input;
+    }
+
+    removeStepInput(item) {
+        const items = Array.from(this.stepList.children);
+        const nextFocus = items[items.indexOf(item) + 1] || items[items.indexOf(item) - 1];
+
+        // Forget its error so it isn't counted or re-rendered later
+        window.contactForm.errors.delete(item.querySelector('input'));
+        item.remove();
+        this.updateStepLabels();
+
+        if (nextFocus) {
+            nextFocus.querySelector('input').focus();
+        }
+    }
+
+    updateStepLabels() {
+        // At least the first step is needed; the others are optional and can be removed
+        const items = Array.from(this.stepList.children);
+
+        items.forEach((item, index) => {
+            const input = item.querySelector('input');
+            const removeButton = item.querySelector('.bug-report-remove');
+
+            input.required = index === 0;
+            input.setAttribute('aria-label', this.t('contact.bugReport.stepLabel', { number: index + 1 }));
+            input.placeholder = index === 0 ? this.t('contact.bugReport.stepPlaceholder') : '';
+            removeButton.hidden = items.length === 1;
+            removeButton.setAttribute('aria-label', this.t('contact.bugReport.removeStep', { number: index + 1 }));
+        });
+    }
+
+    fillDeviceInfo() {
+        // Opened from an app: ?os=Android%2014&device=Pixel%207 beats what the browser says
+        const params = new URLSearchParams(window.location.search);
+        const detected = BugReport.parseUserAgent(navigator.userAgent);
+        const elements = this.form.elements;
+
+        elements.os.value = params.get('os') || detected.os;
+        elements.deviceModel.value = params.get('device') || detected.model;
+        elements.browser.value = detected.browser;
+        elements.screen.value = `${window.screen.width}×${window.screen.height} @${Math.round(window.devicePixelRatio * 100) / 100}x`;
+
+        if (!elements.platform.value && detected.platform) {
+            elements.platform.value = detected.platform;
+        }
+    }
+
+    static parseUserAgent(userAgent) {
+        // { os, browser, model, platform } - empty strings when unknown
+        const result = { os: '', browser: '', model: '', platform: null };
+
+        const osRule = OS_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+        if (osRule) {
+            const [pattern, format, platform] = osRule;
+            result.os = format(userAgent.match(pattern));
+            result.platform = platform;
+        }
+
+        const browserRule = BROWSER_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+        if (browserRule) {
+            result.browser = `${browserRule[1]} ${userAgent.match(browserRule[0])[1]}`;
+        }
+
+        // "Android 14; Pixel 7 Build/..." - newer browsers send "K" instead of the model
+        const androidModel = userAgent.match(/Android [\d.]+; ([^;)]+?)(?: Build\/[^;)]*)?\)/);
+        if (androidModel && androidModel[1] !== 'K') {
+            result.model = androidModel[1].trim();
+        } else if (/iPhone|iPad/.test(userAgent)) {
+            result.model = userAgent.match(/iPhone|iPad/)[0];
+        }
+
+        return result;
+    }
+
+    getReport() {
+        const elements = this.form.elements;
+        const value = name => elements[name].value.trim();
+
+        return {
+            actual: value('actual'),
+            expected: value('expected'),
+            steps: Array.from(this.stepList.querySelectorAll('input'))
+                .map(input => input.value.trim())
+                .filter(Boolean),
+            device: {
+                os: value('os'),
+                model: value('deviceModel') || null,
+                browser: value('browser') || null,
+                screen: value('screen') || null
+            }
+        };
+    }
+
+    formatReport(report) {
+        // Same layout for every report, headings in the visitor's language
+        const contactForm = window.contactForm;
+        const elements = this.form.elements;
+        const app = [contactForm.getSelectedText('app'), elements.appVersion.value.trim()].filter(Boolean).join(' ');
+        const section = (key, lines) => [`## ${this.t(key)}`, ...lines, ''];
+
+        // Language the visitor uses the site in, so we can answer in it
+        const lang = document.documentElement.lang;
+        const language = window.languageRegistry.get(lang);
+        const languageName = language ? `${language.nativeName} (${lang})` : lang;
+
+        const details = [
+            ['contact.form.app', app],
+            ['contact.form.platform', contactForm.getSelectedText('platform')],
+            ['contact.bugReport.os', report.device.os],
+            ['contact.bugReport.deviceModel', report.device.model],
+            ['contact.bugReport.browser', report.device.browser],
+            ['contact.bugReport.screen', report.device.screen],
+            ['footer.language', languageName],
+            ['contact.form.email', elements.email.value.trim()]
+        ].filter(([, detail]) => detail);
+
+        return [
+            ...section('contact.bugReport.report.actual', [report.actual]),
+            ...section('contact.bugReport.report.expected', [report.expected]),
+            ...section('contact.bugReport.report.steps', report.steps.map((step, index) => `${index + 1}. ${step}`)),
+            ...section('contact.bugReport.report.device', details.map(([key, detail]) => `${this.t(key)}: ${detail}`))
+        ].join('\n').trim();
+    }
+
+    renderPreview() {
+        if (this.fieldset && this.isLastStep()) {
+            this.fieldset.querySelector('.bug-report-preview').textContent = this.formatReport(this.getReport());
+        }
+    }
+
+    build(message) {
+        // The report replaces the free-text message: readable text plus structured JSON
+        const report = this.getReport();
+        const text = this.formatReport(report);
+        const version = this.form.elements.appVersion.value.trim();
+
+        return {
+            fields: { ...message.fields, message: text, report },
+            subject: [message.subject, version].filter(Boolean).join(' '),
+            text
+        };
+    }
+
+    t(key, args) {
+        return window.contactForm.t(key, args);
+    }
+}
+
+// Initialize the bug report flow, mounted after the contact form it plugs into
+const bugReport = siteCore.register('bugReport', new BugReport());
+
+// Export for use in other scripts
+window.bugReport = bugReport;
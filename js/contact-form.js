@@ -0,0 +1,466 @@
+/**
+ * Contact Form - Validates the form on contact.html and hands the message to
+ * a submit adapter. The default adapter composes a mailto: link; setting
+ * data-endpoint on the form POSTs JSON instead (see scripts/mock-contact-server.js).
+ */
+
+// Below this, the form was most likely filled in by a bot
+const MIN_FILL_TIME = 3000;
+
+const MESSAGE_LENGTH = { min: 10, max: 5000 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}([ +-][\w.()]+)?$/;
+
+// Fields that become required for a topic
+const REQUIRED_BY_CATEGORY = {
+    bug: ['app', 'platform']
+};
+
+/**
+ * Submit adapters take the message built by ContactForm.getMessage() and
+ * resolve to { status: 'opened' | 'sent' }, or reject when it could not be sent.
+ */
+class MailtoAdapter {
+    constructor(address) {
+        this.address = address;
+    }
+
+    async submit(message) {
+        const params = new URLSearchParams({ subject: message.subject, body: message.text });
+
+        // URLSearchParams encodes spaces as "+", mail apps expect %20
+        window.location.href = `mailto:${this.address}?${params.toString().replace(/\+/g, '%20')}`;
+        return { status: 'opened' };
+    }
+}
+
+class EndpointAdapter {
+    constructor(endpoint, timeout = 15000) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    async submit(message) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(message.fields),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return { status: 'sent' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+class ContactForm {
+    constructor() {
+        this.form = null;
+        this.adapter = null;
+        this.startedAt = Date.now();
+        this.submitted = false;
+        this.sending = false;
+
+        // App chosen via ?app= before the manifest has loaded
+        this.pendingApp = null;
+
+        // Shown errors per field, re-rendered when the language changes
+        this.errors = new Map();
+        this.status = null;
+
+        // Topic-specific flows, e.g. the guided bug report (js/bug-report.js)
+        this.builders = new Map();
+    }
+
+    mount() {
+        this.form = document.getElementById('contact-form');
+        if (!this.form) {
+            return; // No contact form on this page
+        }
+
+        this.adapter = this.createAdapter();
+        this.startedAt = Date.now();
+
+        this.renderAppOptions();
+        this.applyUrlParams();
+        this.updateRequiredFields();
+        this.setupEventListeners();
+    }
+
+    createAdapter() {
+        // ?contact-endpoint= only on a local server, so links can't redirect real messages
+        const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        const endpoint = (isLocal && new URLSearchParams(window.location.search).get('contact-endpoint')) ||
+            this.form.getAttribute('data-endpoint');
+
+        return endpoint
+            ? new EndpointAdapter(endpoint)
+            : new MailtoAdapter(this.form.getAttribute('data-mailto'));
+    }
+
+    setAdapter(adapter) {
+        // Any object with submit(message) -> Promise<{ status }>
+        this.adapter = adapter;
+    }
+
+    registerBuilder(category, builder) {
+        // builder.setActive(active), optional beforeSubmit() / reveal(field) / reset(),
+        // and build(message) -> message for the adapter
+        this.builders.set(category, builder);
+
+        if (this.form) {
+            this.updateRequiredFields();
+        }
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.form.elements.category.addEventListener('change', () => {
+            this.updateRequiredFields();
+        });
+
+        // Check a field when leaving it, and live once the visitor tried to send.
+        // Delegated, so fields added later (bug report steps) are covered too
+        this.form.addEventListener('focusout', (e) => {
+            const field = e.target;
+            if (field.classList.contains('form-control') && (field.value || this.errors.has(field))) {
+                this.validateField(field);
+            }
+        });
+        this.form.addEventListener('input', (e) => {
+            const field = e.target;
+            if (field.classList.contains('form-control') && (this.submitted || this.errors.has(field))) {
+                this.validateField(field);
+            }
+        });
+
+        // "Report a Bug" / "Suggest a Feature" pick the topic instead of reloading the page
+        document.querySelectorAll('[data-contact-category]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.selectCategory(link.getAttribute('data-contact-category'));
+            });
+        });
+
+        siteCore.on('languageChanged', () => {
+            this.renderMessages();
+        });
+    }
+
+    async renderAppOptions() {
+        // Apps from the same manifest as the apps grid, before "Website or something else"
+        const select = this.form.elements.app;
+
+        try {
+            const manifest = await window.appCatalog.loadManifest();
+            const other = select.querySelector('option[value="studio"]');
+            const selected = select.value;
+
+            manifest.apps.forEach(app => {
+                if (!select.querySelector(`option[value="${app.id}"]`)) {
+                    select.insertBefore(new Option(app.name, app.id), other);
+                }
+            });
+
+            // Keep a choice made from ?app= before the manifest arrived
+            select.value = this.pendingApp || selected;
+            this.pendingApp = null;
+        } catch (error) {
+            console.error('Error loading apps for the contact form:', error);
+        }
+    }
+
+    applyUrlParams() {
+        // contact.html?category=feature&app=clickoji&version=1.4.2, used by the roadmap and the apps
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get('category');
+        const app = params.get('app');
+        const version = params.get('version');
+
+        if (category) {
+            this.selectCategory(category, false);
+        }
+
+        if (app) {
+            this.pendingApp = app;
+            this.form.elements.app.value = app;
+        }
+
+        if (version) {
+            this.form.elements.appVersion.value = version;
+        }
+    }
+
+    selectCategory(category, focus = true) {
+        const select = this.form.elements.category;
+        if (!Array.from(select.options).some(option => option.value === category)) {
+            return;
+        }
+
+        select.value = category;
+        this.updateRequiredFields();
+
+        if (focus) {
+            this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            this.form.elements.message.focus({ preventScroll: true });
+        }
+    }
+
+    updateRequiredFields() {
+        const category = this.form.elements.category.value;
+        const required = REQUIRED_BY_CATEGORY[category] || [];
+
+        // <div data-categories="general feature"> is only shown (and checked) for those topics
+        this.form.querySelectorAll('[data-categories]').forEach(section => {
+            section.hidden = !section.getAttribute('data-categories').split(' ').includes(category);
+        });
+        this.builders.forEach((builder, builderCategory) => builder.setActive(builderCategory === category));
+
+        ['app', 'platform'].forEach(name => {
+            const field = this.form.elements[name];
+            field.required = required.includes(name);
+
+            // A field that is optional again can't be wrong for being empty
+            if (!field.required && this.errors.has(field)) {
+                this.validateField(field);
+            }
+        });
+    }
+
+    getFields() {
+        // Fields of the current topic, including ones on steps that are not shown right now
+        return Array.from(this.form.querySelectorAll('.form-control'))
+            .filter(field => !field.closest('[data-categories][hidden]'));
+    }
+
+    getFieldError(field) {
+        // { key, args } of the first failed rule, or null
+        const value = field.value.trim();
+
+        if (field.required && !value) {
+            return { key: 'contact.form.errors.required' };
+        }
+
+        if (!value) {
+            return null;
+        }
+
+        if (field.name === 'message' && value.length < MESSAGE_LENGTH.min) {
+            return { key: 'contact.form.errors.messageTooShort', args: { min: MESSAGE_LENGTH.min } };
+        }
+
+        if (field.name === 'message' && value.length > MESSAGE_LENGTH.max) {
+            return { key: 'contact.form.errors.messageTooLong', args: { max: MESSAGE_LENGTH.max } };
+        }
+
+        if (field.name === 'email' && !EMAIL_PATTERN.test(value)) {
+            return { key: 'contact.form.errors.email' };
+        }
+
+        if (field.name === 'appVersion' && !VERSION_PATTERN.test(value)) {
+            return { key: 'contact.form.errors.appVersion' };
+        }
+
+        return null;
+    }
+
+    validateField(field) {
+        const error = this.getFieldError(field);
+
+        if (error) {
+            this.errors.set(field, error);
+        } else {
+            this.errors.delete(field);
+        }
+
+        this.renderFieldError(field);
+        return !error;
+    }
+
+    renderFieldError(field) {
+        const errorElement = this.getErrorElement(field);
+        const error = this.errors.get(field);
+
+        field.setAttribute('aria-invalid', error ? 'true' : 'false');
+        errorElement.hidden = !error;
+        errorElement.textContent = error ? this.t(error.key, error.args) : '';
+    }
+
+    getErrorElement(field) {
+        // <p class="form-error"> right after the field, linked for screen readers
+        const id = `${field.id}-error`;
+        let errorElement = document.getElementById(id);
+
+        if (!errorElement) {
+            errorElement = document.createElement('p');
+            errorElement.id = id;
+            errorElement.className = 'form-error';
+            errorElement.hidden = true;
+            field.closest('.form-field').appendChild(errorElement);
+
+            const describedBy = field.getAttribute('aria-describedby');
+            field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${id}` : id);
+        }
+
+        return errorElement;
+    }
+
+    getBuilder() {
+        return this.builders.get(this.form.elements.category.value) || null;
+    }
+
+    getSelectedText(name) {
+        // Visible label of a <select>, in the current language
+        const select = this.form.elements[name];
+        return select.value ? select.selectedOptions[0].textContent.trim() : '';
+    }
+
+    getMessage() {
+        const elements = this.form.elements;
+        const value = name => elements[name].value.trim();
+        const selectedText = name => this.getSelectedText(name);
+
+        const fields = {
+            category: value('category'),
+            app: value('app') || null,
+            appVersion: value('appVersion') || null,
+            platform: value('platform') || null,
+            message: value('message'),
+            email: value('email') || null,
+            language: document.documentElement.lang
+        };
+
+        // Readable copy in the visitor's language, used by the mailto adapter
+        const details = [
+            [this.t('contact.form.app'), selectedText('app')],
+            [this.t('contact.form.appVersion'), fields.appVersion],
+            [this.t('contact.form.platform'), selectedText('platform')],
+            [this.t('contact.form.email'), fields.email]
+        ].filter(([, detail]) => detail);
+
+        const message = {
+            fields,
+            subject: [selectedText('category'), selectedText('app')].filter(Boolean).join(' · '),
+            text: [
+                fields.message,
+                '',
+                '---',
+                ...details.map(([label, detail]) => `${label}: ${detail}`)
+            ].join('\n')
+        };
+
+        // Topic flows add their own fields and text
+        const builder = this.getBuilder();
+        return builder ? builder.build(message) : message;
+    }
+
+    async submit() {
+        if (this.sending) return;
+
+        // Bots fill the hidden field; pretend it worked so they don't retry
+        if (this.form.elements.website.value) {
+            this.setStatus('sent');
+            return;
+        }
+
+        // Multi-step flows move to their next step first
+        const builder = this.getBuilder();
+        if (builder && builder.beforeSubmit && !builder.beforeSubmit()) {
+            return;
+        }
+
+        this.submitted = true;
+        const invalid = this.getFields().filter(field => !this.validateField(field));
+        if (invalid.length) {
+            this.setStatus('invalid', { count: invalid.length });
+            if (builder && builder.reveal) {
+                builder.reveal(invalid[0]);
+            }
+            invalid[0].focus();
+            return;
+        }
+
+        if (Date.now() - this.startedAt < MIN_FILL_TIME) {
+            this.setStatus('tooFast');
+            return;
+        }
+
+        this.setSending(true);
+
+        try {
+            const result = await this.adapter.submit(this.getMessage());
+            this.setStatus(result.status);
+
+            if (result.status === 'sent') {
+                this.form.reset();
+                this.submitted = false;
+                this.startedAt = Date.now();
+                this.builders.forEach(registered => registered.reset && registered.reset());
+                this.updateRequiredFields();
+            }
+        } catch (error) {
+            console.error('Error sending contact form:', error);
+            this.setStatus('failed');
+        } finally {
+            this.setSending(false);
+        }
+    }
+
+    setSending(sending) {
+        const button = this.form.querySelector('[type="submit"]');
+
+        this.sending = sending;
+        button.disabled = sending;
+        button.setAttribute('data-key', sending ? 'contact.form.sending' : 'contact.form.submit');
+        button.textContent = this.t(button.getAttribute('data-key'));
+    }
+
+    setStatus(status, args = {}) {
+        this.status = { status, args };
+        this.renderStatus();
+    }
+
+    renderStatus() {
+        const statusElement = this.form.querySelector('.form-status');
+        if (!this.status) {
+            return;
+        }
+
+        const { status, args } = this.status;
+        statusElement.hidden = false;
+        statusElement.className = `form-status form-status-${status}`;
+        statusElement.textContent = this.t(`contact.form.status.${status}`, {
+            email: this.form.getAttribute('data-mailto'),
+            ...args
+        });
+    }
+
+    renderMessages() {
+        this.errors.forEach((error, field) => this.renderFieldError(field));
+        this.renderStatus();
+    }
+
+    t(key, args) {
+        return window.localizationManager ? window.localizationManager.t(key, args) : key;
+    }
+}
+
+// Initialize the contact form, mounted by the site core (js/core.js)
+const contactForm = siteCore.register('contactForm', new ContactForm());
+
+// Export for use in other scripts
+window.contactForm = contactForm;
@@ -0,0 +1,203 @@
+/**
+ * Site Core - One startup sequence for every page script and a small typed
+ * event bus. Startup runs through the phases in CORE_PHASES; page scripts
+ * register components instead of waiting for the DOM or for each other.
+ */
+
+// Startup phases, in order:
+// config      - language and flags read from the URL/localStorage, once
+// localeReady - the locale provider (js/localization.js) has loaded its strings
+// domReady    - the document is parsed, every page script has registered
+// mounted     - every component's mount() has run, in registration order
+const CORE_PHASES = ['config', 'localeReady', 'domReady', 'mounted'];
+
+// Events on the bus and the detail fields each one must carry
+const CORE_EVENTS = {
+    languageChanged: ['language', 'previousLanguage'],
+    appCatalogRendered: ['cards'],
+    policyRendered: ['app', 'doc']
+};
+
+class SiteCore {
+    constructor(languageRegistry) {
+        this.languageRegistry = languageRegistry;
+        this.phase = null;
+        this.components = new Map();
+        this.listeners = new Map();
+        this.localeProvider = null;
+
+        // One promise per phase, see when()
+        this.phaseReady = {};
+        CORE_PHASES.forEach(phase => {
+            let resolve;
+            const promise = new Promise(done => {
+                resolve = done;
+            });
+            this.phaseReady[phase] = { promise, resolve };
+        });
+
+        // Settled by the locale provider, or at DOM ready on a page without one
+        this.localeLoaded = new Promise(resolve => {
+            this.resolveLocale = resolve;
+        });
+
+        this.config = this.resolveConfig();
+        this.language = this.config.language;
+
+        this.on('languageChanged', ({ language }) => {
+            this.language = language;
+        });
+    }
+
+    resolveConfig() {
+        // The inline <head> script already resolved the language to set <html lang> before first paint
+        const params = new URLSearchParams(window.location.search);
+        const language = this.languageRegistry.isSupported(window._initialLanguage)
+            ? window._initialLanguage
+            : this.languageRegistry.resolveInitialLanguage();
+
+        return Object.freeze({
+            language,
+            // Missing translation report, see js/localization.js
+            i18nDebug: params.get('i18n-debug') === '1'
+        });
+    }
+
+    async start() {
+        this.enterPhase('config');
+
+        this.whenDomReady().then(() => {
+            if (!this.localeProvider) {
+                this.resolveLocale();
+            }
+        });
+
+        await this.localeLoaded;
+        this.enterPhase('localeReady');
+
+        await this.whenDomReady();
+        this.enterPhase('domReady');
+
+        this.components.forEach((component, name) => this.mountComponent(name, component));
+        this.enterPhase('mounted');
+    }
+
+    register(name, component) {
+        // component: { mount(core) } plus loadLocales(config) for the locale provider
+        if (this.components.has(name)) {
+            throw new Error(`Component "${name}" is already registered`);
+        }
+        this.components.set(name, component);
+
+        if (typeof component.loadLocales === 'function') {
+            this.setLocaleProvider(name, component);
+        }
+
+        // Scripts added after startup are mounted straight away
+        if (this.phase === 'mounted') {
+            this.mountComponent(name, component);
+        }
+
+        return component;
+    }
+
+    setLocaleProvider(name, component) {
+        if (this.localeProvider) {
+            throw new Error(`Component "${name}" can't load locales, "${this.localeProvider}" already does`);
+        }
+        this.localeProvider = name;
+
+        // Starts right away, while the rest of the page is still parsing
+        Promise.resolve()
+            .then(() => component.loadLocales(this.config))
+            .catch(error => {
+                // Components still mount and show the inline HTML text
+                console.error('Error loading locales:', error);
+            })
+            .then(() => this.resolveLocale());
+    }
+
+    mountComponent(name, component) {
+        // A failing component must not keep the others from mounting
+        try {
+            const result = typeof component.mount === 'function' ? component.mount(this) : null;
+            if (result && typeof result.catch === 'function') {
+                result.catch(error => console.error(`Error mounting "${name}":`, error));
+            }
+        } catch (error) {
+            console.error(`Error mounting "${name}":`, error);
+        }
+    }
+
+    get(name) {
+        return this.components.get(name) || null;
+    }
+
+    enterPhase(phase) {
+        this.phase = phase;
+        this.phaseReady[phase].resolve();
+    }
+
+    when(phase) {
+        // Resolves once startup has reached the phase
+        if (!this.phaseReady[phase]) {
+            throw new TypeError(`Unknown phase "${phase}"`);
+        }
+        return this.phaseReady[phase].promise;
+    }
+
+    whenDomReady() {
+        if (document.readyState !== 'loading') {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            document.addEventListener('DOMContentLoaded', resolve, { once: true });
+        });
+    }
+
+    on(type, handler) {
+        this.checkEventType(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+
+        // Returns a function that removes the handler again
+        return () => this.listeners.get(type).delete(handler);
+    }
+
+    emit(type, detail) {
+        this.checkEventType(type);
+
+        const missing = CORE_EVENTS[type].filter(field => !detail || !(field in detail));
+        if (missing.length) {
+            throw new TypeError(`Event "${type}" is missing ${missing.join(', ')}`);
+        }
+
+        (this.listeners.get(type) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" handler:`, error);
+            }
+        });
+
+        // Also a window event, for scripts that don't use the bus
+        window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    checkEventType(type) {
+        if (!CORE_EVENTS[type]) {
+            throw new TypeError(`Unknown event "${type}"`);
+        }
+    }
+}
+
+// Initialize the site core (before every other page script except js/languages.js and js/theme.js)
+const siteCore = new SiteCore(window.languageRegistry);
+siteCore.start();
+
+// Export for use in other scripts
+window.siteCore = siteCore;
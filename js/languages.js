@@ -0,0 +1,161 @@
+/**
+ * Language Registry - Single list of supported languages shared by the
+ * inline head script, LocalizationManager and PolicyLoader.
+ * Loaded synchronously in <head> so it is available before first paint.
+ */
+
+class LanguageRegistry {
+    constructor() {
+        this.languages = new Map();
+        this.defaultLanguage = null;
+    }
+
+    register(language) {
+        // code, nativeName, flag, localeFile, policySuffix, fallback
+        this.languages.set(language.code, {
+            policySuffix: '',
+            fallback: [],
+            ...language
+        });
+
+        // The first registered language is the default
+        if (!this.defaultLanguage) {
+            this.defaultLanguage = language.code;
+        }
+    }
+
+    get(code) {
+        return this.languages.get(code) || null;
+    }
+
+    isSupported(code) {
+        return !!code && this.languages.has(code);
+    }
+
+    getAll() {
+        return Array.from(this.languages.values());
+    }
+
+    getCodes() {
+        return Array.from(this.languages.keys());
+    }
+
+    getFallbackChain(code) {
+        // Requested language, its declared fallbacks, then the default language
+        const chain = [];
+        const language = this.get(code);
+
+        if (language) {
+            chain.push(language.code, ...language.fallback);
+        }
+        chain.push(this.defaultLanguage);
+
+        return chain.filter((lang, index) => this.isSupported(lang) && chain.indexOf(lang) === index);
+    }
+
+    resolveInitialLanguage() {
+        // Check URL parameter first, then the /cs/ folder of prerendered pages, then localStorage,
+        // then the browser languages, then default
+        const urlLang = new URLSearchParams(window.location.search).get('lang');
+        const pathLang = this.getPathLanguage(window.location.pathname);
+
+        for (const lang of [urlLang, pathLang]) {
+            if (this.isSupported(lang)) {
+                // Language chosen by the URL, use it and save to localStorage
+                localStorage.setItem('language', lang);
+                return lang;
+            }
+        }
+
+        const savedLang = localStorage.getItem('language');
+        if (this.isSupported(savedLang)) {
+            return savedLang;
+        }
+
+        // First visit: not saved, so a later visit still follows the browser until the visitor picks one
+        return this.negotiateLanguage(navigator.languages || [navigator.language]) || this.defaultLanguage;
+    }
+
+    negotiateLanguage(preferred) {
+        // ['cs-CZ', 'en-US'] -> 'cs'; exact tags first, then their primary subtag
+        for (const tag of preferred.filter(Boolean)) {
+            const code = tag.toLowerCase();
+            const primary = code.split('-')[0];
+
+            if (this.isSupported(code)) {
+                return code;
+            }
+            if (this.isSupported(primary)) {
+                return primary;
+            }
+        }
+
+        return null;
+    }
+
+    getPathLanguage(pathname) {
+        // /cs/policy.html or /cs/ -> 'cs' (folder that holds the page)
+        const segments = pathname.split('/').filter(Boolean);
+        const last = segments[segments.length - 1] || '';
+        const folder = last.includes('.') ? segments[segments.length - 2] : last;
+
+        return this.isSupported(folder) ? folder : null;
+    }
+
+    getLanguageUrl(href, code) {
+        // Same page in another language: /cs/about.html -> /en/about.html, about.html -> about.html?lang=en
+        const url = new URL(href);
+        const segments = url.pathname.split('/');
+        const last = segments.length - 1;
+        const folderIndex = segments[last] === '' || segments[last].includes('.') ? last - 1 : last;
+
+        if (folderIndex > 0 && this.isSupported(segments[folderIndex])) {
+            segments[folderIndex] = code;
+            url.pathname = segments.join('/');
+            url.searchParams.delete('lang');
+        } else {
+            url.searchParams.set('lang', code);
+        }
+
+        return url.href;
+    }
+
+    getPolicyPath(basePath, code) {
+        // assets/policies/privacy.txt -> assets/policies/privacy_cs.txt
+        const language = this.get(code);
+        if (!language || !language.policySuffix) {
+            return basePath;
+        }
+
+        const extensionIndex = basePath.lastIndexOf('.');
+        return extensionIndex === -1
+            ? basePath + language.policySuffix
+            : basePath.slice(0, extensionIndex) + language.policySuffix + basePath.slice(extensionIndex);
+    }
+}
+
+const languageRegistry = new LanguageRegistry();
+
+languageRegistry.register({
+    code: 'en',
+    nativeName: 'English',
+    flag: '🇺🇸',
+    localeFile: 'assets/locales/en.json',
+    policySuffix: ''
+});
+
+languageRegistry.register({
+    code: 'cs',
+    nativeName: 'Čeština',
+    flag: '🇨🇿',
+    localeFile: 'assets/locales/cs.json',
+    policySuffix: '_cs',
+    fallback: ['en']
+});
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = languageRegistry;
+} else {
+    window.languageRegistry = languageRegistry;
+}
@@ -1,219 +1,182 @@
-// Localization and Theme Management
+// Localization and Theme Management (theme state lives in js/theme.js)
 class LocalizationManager {
-    constructor() {
-        // Check URL parameters first, then inline script, then localStorage, then default
-        const urlParams = new URLSearchParams(window.location.search);
-        const urlLang = urlParams.get('lang');
-
-        if (urlLang && (urlLang === 'en' || urlLang === 'cs')) {
-            // Valid language in URL, use it and save to localStorage
-            this.currentLang = urlLang;
-            localStorage.setItem('language', urlLang);
-            window._initialLanguage = urlLang; // Update for consistency
-        } else {
-            // Use initial language from inline script if available, otherwise use saved preference
-            this.currentLang = window._initialLanguage || localStorage.getItem('language') || 'en';
-        }
-
-        // Use initial theme from inline script if available, otherwise use saved preference
-        this.currentTheme = window._initialTheme || localStorage.getItem('theme');
-        if (!this.currentTheme) {
-            // Use system preference if no saved theme
-            this.currentTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-            // Save the detected preference to localStorage
-            localStorage.setItem('theme', this.currentTheme);
-        }
-
-        this.translations = {};
-        this.initialized = false;
-        this.languageChanging = false;
-        this.eventListenersSetup = false;
-    }
-
-    async init() {
-        if (this.initialized) return;
-
-        try {
-            // Load both language files
-            const [enResponse, csResponse] = await Promise.all([
-                fetch('assets/locales/en.json'),
-                fetch('assets/locales/cs.json')
-            ]);
+    constructor(config) {
+        // Resolved once by the site core (js/core.js) from the URL, localStorage and the browser
+        this.currentLang = config.language;
 
-            this.translations.en = await enResponse.json();
-            this.translations.cs = await csResponse.json();
+        // Lookups and formatting are shared with the prerender build (js/translator.js)
+        this.translator = new Translator(languageRegistry);
+        this.translations = this.translator.translations;
+        this.localeRequests = {};
 
-            // Initialize theme first (no visual flash)
-            this.setTheme(this.currentTheme);
+        // Original HTML text of each translatable element, used as the last fallback
+        this.inlineDefaults = new WeakMap();
+        this.inlineAttributeDefaults = new WeakMap();
 
-            // Setup event listeners before language initialization
-            this.setupEventListeners();
+        // Arguments available to every string, e.g. "© {year} IndieTap Studio"
+        this.defaultArgs = { year: new Date().getFullYear() };
 
-            // Initialize language and ensure selector displays correct value immediately
-            this.setLanguage(this.currentLang);
+        // Missing keys per language, reported in debug mode (?i18n-debug=1)
+        this.debugMode = config.i18nDebug;
+        this.missingKeys = {};
+        this.initialized = false;
 
-            // Force update language selector multiple times to ensure it's set correctly
-            this.updateLanguageSelector();
+        // Language the visitor picked last while its locale is still loading
+        this.pendingLang = null;
+    }
 
-            // Remove loading state after translations are applied
-            this.finishLoading();
+    loadLocales(config) {
+        // Locale-ready phase of the site core: only the active locale and its fallbacks,
+        // others are fetched on switch
+        return this.loadLocaleChain(config.language);
+    }
 
-            // Additional retries with different timings for robustness
-            setTimeout(() => {
-                this.updateLanguageSelector();
-            }, 50);
+    mount() {
+        // DOM and strings are ready: sync the controls and translate the page once.
+        // Without strings (offline, failed request) the inline HTML text stays.
+        this.setupEventListeners();
+        this.updateThemeButton();
+        this.applyLanguage();
 
-            setTimeout(() => {
-                this.updateLanguageSelector();
-            }, 150);
+        // Make the address bar shareable in the language shown
+        this.updateLanguageUrl();
 
-            setTimeout(() => {
-                this.updateLanguageSelector();
-            }, 300);
+        // Remove loading state after translations are applied
+        this.finishLoading();
+        this.initialized = true;
 
-            this.initialized = true;
-        } catch (error) {
-            this.initialized = true;
+        if (this.debugMode) {
+            this.reportMissingKeys();
         }
     }
 
-    setupEventListeners() {
-        // Theme button
-        const themeButton = document.getElementById('themeButton');
-        if (themeButton) {
-            themeButton.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-                this.setTheme(newTheme);
-                this.updateThemeButton();
-            });
+    loadLocale(lang) {
+        const language = languageRegistry.get(lang);
+        if (!language) {
+            return Promise.reject(new Error(`Unsupported language: ${lang}`));
         }
 
-        // Simple Language Selector - Dropdown Design
-        const languageSelector = document.getElementById('languageSelector');
-
-        if (languageSelector) {
-            // Mark as setup to prevent duplicates
-            this.eventListenersSetup = true;
-
-            // Ensure language selector shows the correct value from localStorage
-            languageSelector.value = this.currentLang;
-
-            // Force update display to match current language 
-            this.updateTranslations();
-
-            // Add change listener
-            languageSelector.addEventListener('change', (e) => {
-                const targetLang = e.target.value;
+        // Reuse the pending or finished request for this locale
+        if (!this.localeRequests[lang]) {
+            this.localeRequests[lang] = fetch(language.localeFile)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(translations => {
+                    this.translations[lang] = translations;
+                    return translations;
+                })
+                .catch(error => {
+                    // Allow a later switch to retry
+                    delete this.localeRequests[lang];
+                    throw error;
+                });
+        }
 
-                if (targetLang && targetLang !== this.currentLang) {
-                    this.setLanguage(targetLang);
-                }
-            });
+        return this.localeRequests[lang];
+    }
 
-            // Additional verification that the value is actually set
-            setTimeout(() => {
-                if (languageSelector.value !== this.currentLang) {
-                    languageSelector.value = this.currentLang;
-                }
-            }, 10);
+    loadLocaleChain(lang) {
+        // The requested locale must load, fallbacks are best effort
+        const [primary, ...fallbacks] = languageRegistry.getFallbackChain(lang);
 
-        } else {
-            // Language element not found, retry after a short delay
-            setTimeout(() => {
-                this.setupLanguageEventListeners();
-            }, 100);
-        }
+        return Promise.all([
+            this.loadLocale(primary),
+            ...fallbacks.map(fallback => this.loadLocale(fallback).catch(() => null))
+        ]);
     }
 
-    setupLanguageEventListeners() {
-        // Prevent multiple setups
-        if (this.eventListenersSetup) {
+    populateLanguageSelector(languageSelector) {
+        // Build the options from the registry so new languages need no HTML edits
+        if (languageSelector.options.length === languageRegistry.getCodes().length) {
             return;
         }
 
-        const languageSelector = document.getElementById('languageSelector');
+        languageSelector.innerHTML = '';
+        languageRegistry.getAll().forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.code;
+            option.textContent = `${language.flag} ${language.nativeName}`;
+            option.lang = language.code;
+            languageSelector.appendChild(option);
+        });
+    }
 
-        if (languageSelector) {
-            // Mark as setup to prevent duplicates
-            this.eventListenersSetup = true;
+    setupEventListeners() {
+        // Theme buttons (footer and mobile menu)
+        document.querySelectorAll('.theme-button').forEach(themeButton => {
+            themeButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                themeManager.cycle();
+            });
+        });
 
-            // Ensure language selector shows the correct value from localStorage
-            languageSelector.value = this.currentLang;
+        // Button follows changes from other tabs and the system setting in auto mode
+        window.addEventListener('themeChanged', () => {
+            this.updateThemeButton();
+        });
 
-            // Force update display to match current language 
-            this.updateTranslations();
+        this.getLanguageSelectors().forEach(languageSelector => {
+            this.populateLanguageSelector(languageSelector);
 
-            // Add change listener
             languageSelector.addEventListener('change', (e) => {
-                const targetLang = e.target.value;
-
-                if (targetLang && targetLang !== this.currentLang) {
-                    this.setLanguage(targetLang);
-                }
+                this.setLanguage(e.target.value);
             });
+        });
+    }
 
-            // Additional verification that the value is actually set
-            setTimeout(() => {
-                if (languageSelector.value !== this.currentLang) {
-                    languageSelector.value = this.currentLang;
-                }
-            }, 10);
-        }
+    getLanguageSelectors() {
+        // Every language dropdown on the page (footer and mobile menu)
+        return Array.from(document.querySelectorAll('select[data-language-selector]'));
     }
 
     setTheme(theme) {
-        this.currentTheme = theme;
-        localStorage.setItem('theme', theme);
-
-        // Apply theme to both html and body elements for consistency
-        const html = document.documentElement;
-        if (theme === 'dark') {
-            html.setAttribute('data-theme', 'dark');
-            html.classList.add('dark-theme');
-            document.body.setAttribute('data-theme', 'dark');
-        } else {
-            html.removeAttribute('data-theme');
-            html.classList.remove('dark-theme');
-            document.body.removeAttribute('data-theme');
-        }
-
-        // Update the theme button display
-        this.updateThemeButton();
+        // 'light', 'dark' or 'auto' (see js/theme.js)
+        themeManager.setPreference(theme);
     }
 
-    setLanguage(lang) {
-        // Prevent rapid language switching
-        if (this.languageChanging) return;
+    async setLanguage(lang) {
+        if (!languageRegistry.isSupported(lang)) return;
+
+        // The last choice wins when the visitor switches again while a locale is loading
+        this.pendingLang = lang;
         if (lang === this.currentLang) return;
 
-        this.languageChanging = true;
+        try {
+            // Fetch the locale lazily the first time it is selected
+            await this.loadLocaleChain(lang);
+        } catch (error) {
+            console.error(`Error loading locale "${lang}":`, error);
+            if (this.pendingLang === lang) {
+                this.updateLanguageSelector();
+            }
+            return;
+        }
+
+        if (this.pendingLang !== lang) return;
+
+        const previousLanguage = this.currentLang;
         this.currentLang = lang;
         localStorage.setItem('language', lang);
+        this.updateLanguageUrl();
+        this.applyLanguage();
 
-        // Update current language display immediately
-        const langCurrent = document.querySelector('.lang-current');
-        if (langCurrent) {
-            langCurrent.textContent = lang.toUpperCase();
-        }
+        siteCore.emit('languageChanged', { language: lang, previousLanguage });
+    }
 
+    applyLanguage() {
         // Update HTML lang attribute
-        document.documentElement.lang = lang;
+        document.documentElement.lang = this.currentLang;
 
-        // Update language dropdown display
-        this.updateLanguageDisplay();
+        // Dropdowns first, so they never show another language than the page
+        this.updateLanguageSelector();
 
         // Update all translatable elements
         this.updateTranslations();
-
-        // Dispatch language change event
-        window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: lang } }));
-
-        // Reset language changing flag after completion
-        setTimeout(() => {
-            this.languageChanging = false;
-        }, 300);
     }
 
     updateTranslations() {
@@ -222,25 +185,43 @@ class LocalizationManager {
         // Add a smooth transition class to prevent visual flash
         document.body.classList.add('language-changing');
 
+        const missing = new Set();
         const elements = document.querySelectorAll('[data-key]');
         elements.forEach(element => {
             const key = element.getAttribute('data-key');
-            const translation = this.getNestedTranslation(key);
-
-            if (translation) {
-                if (element.tagName === 'INPUT' && element.type !== 'submit') {
-                    element.placeholder = translation;
-                } else {
-                    // Direct update without delay to prevent flash
-                    element.textContent = translation;
-                }
+            const isInput = Translator.isPlaceholder(element);
+
+            // Remember the HTML text before it is replaced for the first time
+            if (!this.inlineDefaults.has(element)) {
+                this.inlineDefaults.set(element, isInput ? element.placeholder : element.textContent);
+            }
+
+            const result = this.translator.translateElement(element, this.currentLang, this.getElementArgs(element));
+
+            if (!result || result.lang !== this.currentLang) {
+                missing.add(key);
+            }
+
+            if (this.debugMode) {
+                this.markMissing(element, result);
+            }
+
+            if (!result) {
+                // Nothing in any language, show the original HTML text again
+                this.applyText(element, this.inlineDefaults.get(element), isInput);
             }
         });
 
-        // Update page title
-        if (this.translations[this.currentLang].site && this.translations[this.currentLang].site.title) {
-            document.title = this.translations[this.currentLang].site.title;
-        }
+        // Attributes: data-key-attr="aria-label:theme.toggle; title:theme.toggle"
+        document.querySelectorAll('[data-key-attr]').forEach(element => {
+            this.translateAttributes(element, missing);
+        });
+
+        // The page title is a regular <title data-key="pages.*.title"> element
+        this.recordMissingKeys(this.currentLang, missing);
+
+        // Content rendered later (app cards, policy links) passes through here too
+        this.updateLanguageLinks();
 
         // Remove transition class after update
         setTimeout(() => {
@@ -248,78 +229,197 @@ class LocalizationManager {
         }, 100);
     }
 
-    getNestedTranslation(key) {
-        const keys = key.split('.');
-        let translation = this.translations[this.currentLang];
+    updateLanguageUrl() {
+        // /cs/about.html or about.html?lang=cs, without adding a history entry
+        const url = languageRegistry.getLanguageUrl(window.location.href, this.currentLang);
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    updateLanguageLinks() {
+        // Links to our other pages open in the current language
+        document.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            const isPage = /(\/|\.html)$/.test(link.pathname);
 
-        for (const k of keys) {
-            if (translation && translation[k]) {
-                translation = translation[k];
-            } else {
-                return null;
+            if (href.startsWith('#') || link.host !== window.location.host ||
+                link.protocol !== window.location.protocol || !isPage) {
+                return;
             }
+
+            const url = languageRegistry.getLanguageUrl(link.href, this.currentLang);
+            if (url !== link.href) {
+                link.href = url;
+            }
+        });
+    }
+
+    parseAttributeKeys(element) {
+        return Translator.parseAttributeKeys(element.getAttribute('data-key-attr'));
+    }
+
+    translateAttributes(element, missing) {
+        if (!this.inlineAttributeDefaults.has(element)) {
+            this.inlineAttributeDefaults.set(element, {});
         }
+        const defaults = this.inlineAttributeDefaults.get(element);
+        const args = this.getElementArgs(element);
+
+        this.parseAttributeKeys(element).forEach(({ attribute, key }) => {
+            // Remember the HTML value before it is replaced for the first time
+            if (!(attribute in defaults)) {
+                defaults[attribute] = element.getAttribute(attribute);
+            }
+
+            const result = this.translator.translateAttribute(element, attribute, key, this.currentLang, args);
 
-        return translation;
+            if (!result || result.lang !== this.currentLang) {
+                missing.add(key);
+            }
+
+            if (!result && defaults[attribute] !== null) {
+                element.setAttribute(attribute, defaults[attribute]);
+            }
+        });
     }
 
-    getCurrentLanguage() {
-        return this.currentLang;
+    applyText(element, text, isInput) {
+        if (isInput) {
+            element.placeholder = text;
+        } else {
+            // Direct update without delay to prevent flash
+            element.textContent = text;
+        }
     }
 
-    getCurrentTheme() {
-        return this.currentTheme;
+    getElementArgs(element) {
+        return Translator.getElementArgs(element, this.defaultArgs);
     }
 
-    // Helper methods for enhanced language selector UX
-    isMobile() {
-        return window.innerWidth <= 768;
+    t(key, args = {}) {
+        // Public API: formatted plain-text translation, or the key itself when missing
+        const result = this.resolveTranslation(key);
+        if (!result) {
+            return key;
+        }
+
+        return this.translator.format(result, { ...this.defaultArgs, ...args }, false).value;
     }
 
+    resolveTranslation(key) {
+        return this.translator.resolve(key, this.currentLang);
+    }
 
-    updateLanguageDisplay() {
-        // Update language selector value
-        this.updateLanguageSelector();
+    getNestedTranslation(key, lang = this.currentLang) {
+        return this.translator.getNested(key, lang);
     }
 
-    updateLanguageSelector() {
-        const languageSelector = document.getElementById('languageSelector');
-        if (languageSelector) {
-            // Set the correct option based on current language
-            languageSelector.value = this.currentLang;
+    recordMissingKeys(lang, keys) {
+        if (!this.missingKeys[lang]) {
+            this.missingKeys[lang] = new Set();
+        }
 
-            setTimeout(() => {
-                if (languageSelector.value !== this.currentLang) {
-                    languageSelector.selectedIndex = this.currentLang === 'cs' ? 1 : 0;
-                }
-            }, 5);
+        const newKeys = Array.from(keys).filter(key => !this.missingKeys[lang].has(key));
+        newKeys.forEach(key => this.missingKeys[lang].add(key));
+
+        // Log only keys we have not reported yet (content loaded later adds more)
+        if (this.debugMode && this.initialized && newKeys.length) {
+            this.logMissingKeys(lang, newKeys);
+        }
+    }
 
+    markMissing(element, result) {
+        // Highlight untranslated elements and say where the text came from
+        if (!result) {
+            element.setAttribute('data-i18n-missing', 'inline');
+        } else if (result.lang !== this.currentLang) {
+            element.setAttribute('data-i18n-missing', result.lang);
         } else {
-            // Retry after a short delay if selector not found
-            setTimeout(() => {
-                const retrySelector = document.getElementById('languageSelector');
-                if (retrySelector) {
-                    retrySelector.value = this.currentLang;
-
-                    setTimeout(() => {
-                        if (retrySelector.value !== this.currentLang) {
-                            retrySelector.selectedIndex = this.currentLang === 'cs' ? 1 : 0;
-                        }
-                    }, 5);
+            element.removeAttribute('data-i18n-missing');
+        }
+    }
+
+    async reportMissingKeys() {
+        document.body.classList.add('i18n-debug');
+
+        // Check the keys used on this page against every registered language
+        const codes = languageRegistry.getCodes();
+        await Promise.all(codes.map(lang => this.loadLocale(lang).catch(() => null)));
+
+        const textKeys = Array.from(document.querySelectorAll('[data-key]'))
+            .map(element => element.getAttribute('data-key'));
+        const attributeKeys = Array.from(document.querySelectorAll('[data-key-attr]'))
+            .flatMap(element => this.parseAttributeKeys(element).map(({ key }) => key));
+        const keys = Array.from(new Set([...textKeys, ...attributeKeys]));
+
+        codes.forEach(lang => {
+            const missing = keys.filter(key => this.getNestedTranslation(key, lang) === null);
+            missing.forEach(key => {
+                if (!this.missingKeys[lang]) {
+                    this.missingKeys[lang] = new Set();
                 }
-            }, 100);
+                this.missingKeys[lang].add(key);
+            });
+            this.logMissingKeys(lang, missing);
+        });
+    }
+
+    logMissingKeys(lang, keys) {
+        if (!keys.length) {
+            console.info(`[i18n] ${lang}: no missing keys`);
+            return;
         }
+
+        console.groupCollapsed(`[i18n] ${lang}: ${keys.length} missing key(s)`);
+        keys.forEach(key => console.warn(key));
+        console.groupEnd();
+    }
+
+    getMissingKeys() {
+        // { en: [...], cs: [...] } for use from the console
+        const report = {};
+        Object.keys(this.missingKeys).forEach(lang => {
+            report[lang] = Array.from(this.missingKeys[lang]).sort();
+        });
+        return report;
+    }
+
+    getCurrentLanguage() {
+        return this.currentLang;
+    }
+
+    getCurrentTheme() {
+        // Theme shown on screen, 'light' or 'dark' even in auto mode
+        return themeManager.getTheme();
+    }
+
+    // Helper methods for enhanced language selector UX
+    isMobile() {
+        return window.innerWidth <= 768;
+    }
+
+    updateLanguageSelector() {
+        // Options are built in setupEventListeners(), before the first call
+        this.getLanguageSelectors().forEach(languageSelector => {
+            languageSelector.value = this.currentLang;
+        });
     }
 
     updateThemeButton() {
-        const themeButton = document.getElementById('themeButton');
-        if (themeButton) {
+        document.querySelectorAll('.theme-button').forEach(themeButton => {
             const themeIcon = themeButton.querySelector('.theme-icon');
             if (themeIcon) {
-                // Update icon based on current theme
-                themeIcon.textContent = this.currentTheme === 'dark' ? '🌙' : '☀️';
+                // Update icon based on the chosen theme
+                themeIcon.textContent = { light: '☀️', dark: '🌙', auto: '🌓' }[themeManager.preference];
             }
-        }
+
+            // "Theme: Auto" label names the current choice
+            themeButton.setAttribute('data-key-args', JSON.stringify({ theme: themeManager.preference }));
+            if (this.translations[this.currentLang]) {
+                this.translateAttributes(themeButton, new Set());
+            }
+        });
     }
 
     finishLoading() {
@@ -331,24 +431,8 @@ class LocalizationManager {
     }
 }
 
-// Initialize localization manager
-const localizationManager = new LocalizationManager();
-
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        localizationManager.init();
-    });
-} else {
-    localizationManager.init();
-}
-
-// Additional safeguard: Force update language selector when everything is loaded
-window.addEventListener('load', () => {
-    setTimeout(() => {
-        localizationManager.updateLanguageSelector();
-    }, 100);
-});
+// Initialize localization manager, it loads the strings for the site core's locale-ready phase
+const localizationManager = siteCore.register('localization', new LocalizationManager(siteCore.config));
 
 // Export for use in other scripts
 window.localizationManager = localizationManager;
@@ -0,0 +1,254 @@
+/**
+ * Message Format - ICU-style placeholders for locale strings.
+ *
+ *   "© {year} IndieTap Studio"
+ *   "{count, plural, one {# app} few {# apps} other {# apps}}"
+ *   "{platform, select, ios {App Store} other {Google Play}}"
+ *
+ * Strings may also contain a small subset of inline markup (<strong>, <em>,
+ * <br>, <a href>) which is sanitized before it reaches the DOM.
+ */
+
+// Tags allowed in rich locale strings, everything else is dropped
+const ALLOWED_TAGS = ['strong', 'b', 'em', 'i', 'br', 'a'];
+const VOID_TAGS = ['br'];
+// ASCII whitespace and control characters, never meaningful in a link target
+const URL_IGNORED_CHARS = /[\u0000-\u0020\u007f]/g;
+
+class MessageFormat {
+    static format(message, args = {}, locale = 'en', options = {}) {
+        if (typeof message !== 'string' || message.indexOf('{') === -1) {
+            return message;
+        }
+
+        let result = '';
+        let index = 0;
+
+        while (index < message.length) {
+            const open = message.indexOf('{', index);
+            if (open === -1) {
+                result += message.slice(index);
+                break;
+            }
+
+            const close = MessageFormat.findClosingBrace(message, open);
+            if (close === -1) {
+                // Unbalanced brace, keep the rest as literal text
+                result += message.slice(index);
+                break;
+            }
+
+            result += message.slice(index, open);
+            result += MessageFormat.formatArgument(message.slice(open + 1, close), args, locale, options);
+            index = close + 1;
+        }
+
+        return result;
+    }
+
+    static formatArgument(body, args, locale, options) {
+        const [name, type, ...rest] = body.split(',');
+        const key = name.trim();
+        const value = args[key];
+
+        if (type === undefined) {
+            // Plain placeholder - unknown names stay visible so they get noticed
+            if (value === undefined || value === null) {
+                return `{${key}}`;
+            }
+            // Numbers are only localized with {name, number} so years stay "2025"
+            const text = String(value);
+            return options.escape ? MessageFormat.escapeHtml(text) : text;
+        }
+
+        const kind = type.trim();
+        const branches = MessageFormat.parseBranches(rest.join(','));
+
+        if (kind === 'number') {
+            return MessageFormat.formatNumber(Number(value), locale);
+        }
+
+        if (kind === 'plural') {
+            const count = Number(value);
+            const exact = branches[`=${count}`];
+            const category = new Intl.PluralRules(locale).select(count);
+            const branch = exact !== undefined ? exact : (branches[category] !== undefined ? branches[category] : branches.other);
+
+            if (branch === undefined) {
+                return '';
+            }
+
+            // "#" inside a plural branch is the formatted count
+            return MessageFormat.format(
+                branch.replace(/#/g, MessageFormat.formatNumber(count, locale)),
+                args,
+                locale,
+                options
+            );
+        }
+
+        if (kind === 'select') {
+            const branch = branches[String(value)] !== undefined ? branches[String(value)] : branches.other;
+            return branch === undefined ? '' : MessageFormat.format(branch, args, locale, options);
+        }
+
+        return `{${body}}`;
+    }
+
+    static parseBranches(text) {
+        // "one {# app} other {# apps}" -> { one: '# app', other: '# apps' }
+        const branches = {};
+        let index = 0;
+
+        while (index < text.length) {
+            const open = text.indexOf('{', index);
+            if (open === -1) break;
+
+            const close = MessageFormat.findClosingBrace(text, open);
+            if (close === -1) break;
+
+            const selector = text.slice(index, open).trim();
+            if (selector) {
+                branches[selector] = text.slice(open + 1, close);
+            }
+            index = close + 1;
+        }
+
+        return branches;
+    }
+
+    static findClosingBrace(text, openIndex) {
+        let depth = 0;
+
+        for (let i = openIndex; i < text.length; i++) {
+            if (text[i] === '{') {
+                depth++;
+            } else if (text[i] === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    static formatNumber(value, locale) {
+        if (Number.isNaN(value)) {
+            return '';
+        }
+
+        try {
+            return new Intl.NumberFormat(locale).format(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    static hasMarkup(message) {
+        return typeof message === 'string' && /<\/?[a-z][^>]*>/i.test(message);
+    }
+
+    static sanitize(html) {
+        // Rebuild the string keeping only allowed tags; all text is escaped
+        const tagPattern = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi;
+        const openTags = [];
+        let result = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(html)) !== null) {
+            result += MessageFormat.escapeText(html.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            const isClosing = match[1] === '/';
+            const tag = match[2].toLowerCase();
+
+            if (!ALLOWED_TAGS.includes(tag)) {
+                continue;
+            }
+
+            if (VOID_TAGS.includes(tag)) {
+                if (!isClosing) {
+                    result += `<${tag}>`;
+                }
+                continue;
+            }
+
+            if (isClosing) {
+                // Only close tags we actually opened
+                const openIndex = openTags.lastIndexOf(tag);
+                if (openIndex !== -1) {
+                    openTags.splice(openIndex).reverse().forEach(openTag => {
+                        result += `</${openTag}>`;
+                    });
+                }
+                continue;
+            }
+
+            result += tag === 'a' ? MessageFormat.sanitizeLink(match[3]) : `<${tag}>`;
+            openTags.push(tag);
+        }
+
+        result += MessageFormat.escapeText(html.slice(lastIndex));
+
+        // Close anything left open
+        openTags.reverse().forEach(tag => {
+            result += `</${tag}>`;
+        });
+
+        return result;
+    }
+
+    static sanitizeLink(attributes) {
+        const hrefMatch = attributes.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+        // Browsers ignore tabs and newlines inside a URL ("java\tscript:" still runs),
+        // so they are removed before the scheme is checked
+        const href = hrefMatch ? (hrefMatch[1] !== undefined ? hrefMatch[1] : hrefMatch[2]).replace(URL_IGNORED_CHARS, '') : '';
+
+        if (!MessageFormat.isSafeUrl(href)) {
+            return '<a class="text-link">';
+        }
+
+        const isExternal = /^https?:/i.test(href);
+        return `<a href="${MessageFormat.escapeHtml(href)}" class="text-link"` +
+            (isExternal ? ' target="_blank" rel="noopener noreferrer">' : '>');
+    }
+
+    static isSafeUrl(url) {
+        // http(s), mailto and site-relative links only
+        const target = String(url || '').replace(URL_IGNORED_CHARS, '');
+        if (!target) {
+            return false;
+        }
+        if (/^(https?:|mailto:)/i.test(target)) {
+            return true;
+        }
+        return !/^[a-z][a-z0-9+.-]*:/i.test(target) && !target.startsWith('//');
+    }
+
+    static escapeText(text) {
+        // Escape markup characters but keep existing entities such as &amp;
+        return text
+            .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z]+);)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageFormat;
+} else {
+    window.MessageFormat = MessageFormat;
+}
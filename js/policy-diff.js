@@ -0,0 +1,81 @@
+/**
+ * Policy Diff - Paragraph-level comparison of two parsed policy documents.
+ * Blocks (headings, paragraphs, lists, definition lists) are matched with a
+ * longest common subsequence, everything else is reported as added/removed.
+ */
+
+class PolicyDiff {
+    static diff(oldBlocks, newBlocks) {
+        const oldKeys = oldBlocks.map(block => PolicyDiff.getBlockKey(block));
+        const newKeys = newBlocks.map(block => PolicyDiff.getBlockKey(block));
+
+        // table[i][j] = length of the common subsequence of oldKeys[i..] and newKeys[j..]
+        const table = Array.from({ length: oldKeys.length + 1 }, () => new Array(newKeys.length + 1).fill(0));
+
+        for (let i = oldKeys.length - 1; i >= 0; i--) {
+            for (let j = newKeys.length - 1; j >= 0; j--) {
+                table[i][j] = oldKeys[i] === newKeys[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const changes = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < oldKeys.length && j < newKeys.length) {
+            if (oldKeys[i] === newKeys[j]) {
+                changes.push({ status: 'same', block: newBlocks[j] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                // Removals come first so a rewritten paragraph reads old -> new
+                changes.push({ status: 'removed', block: oldBlocks[i] });
+                i++;
+            } else {
+                changes.push({ status: 'added', block: newBlocks[j] });
+                j++;
+            }
+        }
+
+        oldBlocks.slice(i).forEach(block => changes.push({ status: 'removed', block }));
+        newBlocks.slice(j).forEach(block => changes.push({ status: 'added', block }));
+
+        return changes;
+    }
+
+    static getBlockKey(block) {
+        // Compare text only, so markup-only edits (bold, section ids) are not changes
+        switch (block.type) {
+            case 'heading':
+                return `heading:${PolicyParser.getText(block.children)}`;
+            case 'list':
+                return `list:${PolicyDiff.getListText(block)}`;
+            case 'definitions':
+                return `definitions:${block.items.map(item => `${item.term}: ${PolicyParser.getText(item.children)}`).join('\n')}`;
+            default:
+                return `paragraph:${PolicyParser.getText(block.children)}`;
+        }
+    }
+
+    static getListText(list) {
+        return list.items.map(item =>
+            [PolicyParser.getText(item.children), ...item.lists.map(nested => PolicyDiff.getListText(nested))].join('\n')
+        ).join('\n');
+    }
+
+    static summarize(changes) {
+        return {
+            added: changes.filter(change => change.status === 'added').length,
+            removed: changes.filter(change => change.status === 'removed').length
+        };
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolicyDiff;
+} else {
+    window.PolicyDiff = PolicyDiff;
+}
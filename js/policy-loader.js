@@ -5,241 +5,672 @@
 
 class PolicyLoader {
     constructor() {
-        // Check URL parameters first, then localStorage, then default to 'en'
+        // Which document to show on the generic policy page, and in which language
+        this.route = null;
+        this.currentLanguage = null;
+        this.rendered = false;
+        this.tocInitialized = false;
+
+        // Incremented by every load, so a slower earlier load can't overwrite a newer one
+        this.loadId = 0;
+
+        // Owner of the current document and the version indexes fetched so far
+        this.currentOwner = null;
+        this.versionIndexes = new Map();
+        this.versionControlsInitialized = false;
+
+        // Parsed document shown (not the diff), used for printing and downloads
+        this.currentDocument = null;
+        this.exportControlsInitialized = false;
+    }
+
+    mount(core) {
+        // Language resolved once by the site core (js/core.js), kept in sync via its event bus
+        this.core = core;
+        this.currentLanguage = core.language;
+        this.route = this.parseRoute();
+        this.setupEventListeners(core);
+        this.loadInitialContent();
+    }
+
+    setupEventListeners(core) {
+        // Listen for language changes, keeping the reader in the same section
+        core.on('languageChanged', ({ language }) => {
+            this.currentLanguage = language;
+            this.loadPolicyContent({ preservePosition: true });
+        });
+
+        // Try again by itself once the connection is back
+        window.addEventListener('online', () => {
+            if (!this.rendered) {
+                this.loadPolicyContent();
+            }
+        });
+
+        // Hash routes (#/clickoji/terms) can change without a reload
+        window.addEventListener('hashchange', () => {
+            const route = this.parseRoute();
+            if (route.app !== this.route.app || route.doc !== this.route.doc) {
+                this.route = route;
+                this.loadPolicyContent();
+            } else {
+                this.route = route;
+                this.scrollToSection(this.getSectionId());
+            }
+        });
+    }
+
+    loadInitialContent() {
+        // Prerendered pages already show the document: refresh it in place without "Loading..."
+        const policyContainer = document.getElementById('policy-content');
+        this.rendered = !!policyContainer &&
+            policyContainer.getAttribute('data-prerendered') === this.currentLanguage;
+
+        this.loadPolicyContent({ preservePosition: this.rendered });
+    }
+
+    parseRoute() {
+        // Query route: policy.html?app=clickoji&doc=terms
         const urlParams = new URLSearchParams(window.location.search);
-        const urlLang = urlParams.get('lang');
-
-        if (urlLang && (urlLang === 'en' || urlLang === 'cs')) {
-            // If valid language in URL, use it and save to localStorage
-            this.currentLanguage = urlLang;
-            localStorage.setItem('language', urlLang);
-
-            // Update the language selector if it exists
-            setTimeout(() => {
-                const langSelector = document.getElementById('languageSelector');
-                if (langSelector) {
-                    langSelector.value = urlLang;
+        let app = urlParams.get('app');
+        let doc = urlParams.get('doc');
+
+        // Prerendered pages (clickoji-terms.html) carry their route as data-policy-route="clickoji/terms"
+        const policyContainer = document.getElementById('policy-content');
+        const [defaultApp, defaultDoc] = ((policyContainer && policyContainer.getAttribute('data-policy-route')) || '').split('/');
+
+        // Hash route: policy.html#/clickoji/terms[/section] (takes precedence when present)
+        const hashMatch = window.location.hash.match(/^#\/([\w-]+)(?:\/([\w-]+)(?:\/([\w-]+))?)?$/);
+        if (hashMatch) {
+            app = hashMatch[1];
+            doc = hashMatch[2] || null;
+        }
+
+        // Without an app the studio's own website policies are shown
+        return {
+            app: app || defaultApp || 'studio',
+            doc: doc || (app ? null : defaultDoc) || 'privacy',
+            usesHash: !!hashMatch,
+            section: hashMatch ? hashMatch[3] || null : null,
+            // ?version=2025-10-01&compare=2025-06-01 picks and diffs history entries
+            version: urlParams.get('version'),
+            compare: urlParams.get('compare')
+        };
+    }
+
+    getSectionId() {
+        // #data-we-collect on query routes, #/clickoji/privacy/data-we-collect on hash routes
+        if (this.route.usesHash) {
+            return this.route.section;
+        }
+
+        const hash = window.location.hash.slice(1);
+        return hash && !hash.startsWith('/') ? decodeURIComponent(hash) : null;
+    }
+
+    getSectionHref(id) {
+        // Full path, as prerendered pages resolve relative links against <base href="../">
+        const page = window.location.pathname + window.location.search;
+
+        return this.route.usesHash
+            ? `${page}#/${this.route.app}/${this.route.doc}/${id}`
+            : `${page}#${id}`;
+    }
+
+    async resolvePolicyPath(policyContainer, loadId) {
+        // Explicit base path on the container wins over the route
+        const basePath = policyContainer.getAttribute('data-policy-path');
+        this.currentOwner = null;
+
+        if (basePath) {
+            return basePath;
+        }
+
+        if (!policyContainer.hasAttribute('data-policy-route') || !window.appCatalog) {
+            console.error('Policy path not found in data attributes');
+            return null;
+        }
+
+        await window.appCatalog.loadManifest();
+        if (loadId !== this.loadId) {
+            return null; // A newer load owns the header now
+        }
+
+        const match = window.appCatalog.findPolicy(this.route.app, this.route.doc);
+
+        if (!match) {
+            return null;
+        }
+
+        this.currentOwner = match.owner;
+        this.updatePolicyHeader(match.owner, match.policy);
+        return match.policy.path;
+    }
+
+    async loadVersions() {
+        // Version history lives in a per-app index referenced from apps.json
+        const indexPath = this.currentOwner && this.currentOwner.policyIndex;
+
+        if (!indexPath) {
+            return [];
+        }
+
+        if (!this.versionIndexes.has(indexPath)) {
+            this.versionIndexes.set(indexPath, fetch(indexPath)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // The document itself still loads without its history
+                    console.warn('Policy version index not available:', error);
+                    this.versionIndexes.delete(indexPath);
+                    return {};
+                }));
+        }
+
+        const index = await this.versionIndexes.get(indexPath);
+        return index[this.route.doc] || [];
+    }
+
+    findVersion(versions, version) {
+        return version ? versions.find(entry => entry.version === version) || null : null;
+    }
+
+    async fetchPolicyText(policyContainer, basePath) {
+        // Try the selected language first, then its fallback chain. policyContainer may be null
+        // (js/policy-search.js reads other documents). Resolves to { text, lang, cachedAt } -
+        // cachedAt is set when sw.js answered from its cache
+        let lastError = null;
+
+        for (const lang of languageRegistry.getFallbackChain(this.currentLanguage)) {
+            const policyPath = (policyContainer && policyContainer.getAttribute(`data-policy-path-${lang}`)) ||
+                languageRegistry.getPolicyPath(basePath, lang);
+
+            try {
+                const response = await fetch(policyPath);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
                 }
-            }, 100);
 
-            // Trigger language change event for other components
-            window.dispatchEvent(new CustomEvent('languageChanged', {
-                detail: { language: urlLang }
-            }));
-        } else {
-            // No URL parameter or invalid, use localStorage or default
-            this.currentLanguage = localStorage.getItem('language') || 'en';
+                return {
+                    text: await response.text(),
+                    lang,
+                    cachedAt: response.headers.get('X-SW-Cached-At')
+                };
+            } catch (error) {
+                lastError = error;
+            }
         }
 
-        this.init();
+        throw lastError;
+    }
 
-        // Listen for language changes
-        window.addEventListener('languageChanged', (event) => {
-            this.currentLanguage = event.detail.language;
-            this.loadPolicyContent();
-        });
+    getHeaderElements() {
+        return {
+            title: document.getElementById('policy-title'),
+            subtitle: document.getElementById('policy-subtitle'),
+            icon: document.getElementById('policy-icon'),
+            pageTitle: document.querySelector('title'),
+            descriptions: Array.from(document.querySelectorAll('meta[name="description"], meta[property="og:description"]')),
+            ogTitle: document.querySelector('meta[property="og:title"]')
+        };
     }
 
-    init() {
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
-                this.loadPolicyContent();
-            });
-        } else {
-            this.loadPolicyContent();
+    updatePolicyHeader(owner, policy) {
+        // Same header as the prerendered policy pages, see PolicyRenderer.applyHeader()
+        PolicyRenderer.applyHeader(this.getHeaderElements(), owner, policy);
+
+        // App pages take the app's colours, studio pages keep the site palette
+        themeManager.applyAccent(document.body, owner.accent);
+    }
+
+    showNotFound(policyContainer) {
+        const title = document.getElementById('policy-title');
+        const subtitle = document.getElementById('policy-subtitle');
+        const icon = document.getElementById('policy-icon');
+
+        if (title) {
+            title.setAttribute('data-key', 'policy.notFound.title');
+        }
+        if (subtitle) {
+            subtitle.hidden = true;
+        }
+        if (icon) {
+            icon.hidden = true;
+        }
+
+        PolicyRenderer.applyPageMeta(this.getHeaderElements(), 'policy.notFound.title', 'policy.notFound.description');
+
+        policyContainer.innerHTML = `
+            <div class="policy-not-found">
+                <p data-key="policy.notFound.description">We couldn't find this document. It may have moved or the link may be incomplete.</p>
+                <a href="index.html#apps" class="policy-link" data-key="policy.notFound.back">Back to our apps</a>
+            </div>`;
+
+        if (window.localizationManager) {
+            window.localizationManager.updateTranslations();
         }
     }
 
-    async loadPolicyContent() {
-        const policyContainer = document.getElementById('privacy-content') || document.getElementById('terms-content');
+    async loadPolicyContent(options = {}) {
+        const policyContainer = document.getElementById('policy-content') ||
+            document.getElementById('privacy-content') ||
+            document.getElementById('terms-content');
 
         if (!policyContainer) {
             return; // No policy container found on this page
         }
 
-        const isPrivacy = policyContainer.id === 'privacy-content';
-        const enPath = policyContainer.getAttribute('data-policy-path');
-        const csPath = policyContainer.getAttribute('data-policy-path-cs');
+        // Language switches, hash routes, version picks and retries can start a load while
+        // another is still fetching: only the latest one renders
+        const loadId = ++this.loadId;
+        const isStale = () => loadId !== this.loadId;
 
-        if (!enPath || !csPath) {
-            console.error('Policy paths not found in data attributes');
-            return;
-        }
+        const isPrivacy = policyContainer.id === 'privacy-content' ||
+            (policyContainer.id === 'policy-content' && this.route.doc === 'privacy');
 
-        const policyPath = this.currentLanguage === 'cs' ? csPath : enPath;
+        // On a language switch the old text stays visible until the new one is ready
+        const position = options.preservePosition && this.rendered
+            ? this.captureScrollPosition(policyContainer)
+            : null;
 
         try {
-            // Show loading message
-            const loadingKey = isPrivacy ? 'privacy.loading' : 'terms.loading';
-            policyContainer.innerHTML = `<p data-key="${loadingKey}">Loading...</p>`;
+            if (!position) {
+                // Show loading message
+                const loadingKey = isPrivacy ? 'privacy.loading' : 'terms.loading';
+                policyContainer.innerHTML = `<p data-key="${loadingKey}">Loading...</p>`;
+                this.rendered = false;
+
+                // Apply current translations to loading message
+                if (window.localizationManager) {
+                    window.localizationManager.updateTranslations();
+                }
+            }
 
-            // Apply current translations to loading message
-            if (window.localizationManager) {
-                window.localizationManager.updateTranslations();
+            const basePath = await this.resolvePolicyPath(policyContainer, loadId);
+            if (isStale()) {
+                return;
             }
 
-            const response = await fetch(policyPath);
+            if (!basePath) {
+                this.rendered = false;
+                this.renderTableOfContents([]);
+                this.updateVersionControls([], null, null);
+                this.updateExportControls(null);
+                this.showNotFound(policyContainer);
+                return;
+            }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // Versions are listed newest first; without a choice the newest is shown
+            const versions = await this.loadVersions();
+            if (isStale()) {
+                return;
             }
 
-            const content = await response.text();
+            const selected = this.findVersion(versions, this.route.version) || versions[0] || null;
+            const compared = this.findVersion(versions, this.route.compare);
+
+            const content = await this.fetchPolicyText(policyContainer, selected ? selected.path : basePath);
+            if (isStale()) {
+                return;
+            }
 
             // Convert text content to HTML
-            const htmlContent = this.formatPolicyContent(content);
-            policyContainer.innerHTML = htmlContent;
+            let documentTree = PolicyParser.parse(content.text);
+            const exportDocument = { tree: documentTree, version: selected, lang: content.lang };
+
+            if (compared && compared !== selected) {
+                // Always diff from the older to the newer version
+                const selectedIsNewer = versions.indexOf(selected) < versions.indexOf(compared);
+                const otherContent = await this.fetchPolicyText(policyContainer, compared.path);
+                if (isStale()) {
+                    return;
+                }
 
-        } catch (error) {
-            console.error('Error loading policy content:', error);
+                const otherTree = PolicyParser.parse(otherContent.text);
+                const [olderTree, newerTree] = selectedIsNewer ? [otherTree, documentTree] : [documentTree, otherTree];
 
-            const errorMessage = this.currentLanguage === 'cs'
-                ? 'Chyba při načítání obsahu. Zkuste to prosím znovu.'
-                : 'Error loading content. Please try again.';
-
-            policyContainer.innerHTML = `<p style="color: var(--error-color, #e53e3e);">${errorMessage}</p>`;
-        }
-    }
-
-    formatPolicyContent(text) {
-        // Split content by lines and format as HTML
-        const lines = text.split('\n');
-        let html = '';
-        let inList = false;
-
-        // Define known headlines for better detection
-        const knownHeadlines = [
-            // English - General
-            'Privacy Policy', 'Data Collection and Use', 'Locally Stored Data', 'Security',
-            'Changes', 'Effective Date', 'Your Consent', 'Contact', 'INTRODUCTION', 'Introduction',
-            'Personal data collection', 'IP addresses and server processing', 'Third-party services – Google Fonts',
-            'Children', 'DATA WE COLLECT', 'PURPOSES & LEGAL BASES (GDPR/UK GDPR)', 'YOUR CHOICES',
-            'CHILDREN & TEENS', 'DATA RETENTION', 'SHARING & TRANSFERS', 'SECURITY', 'YOUR PRIVACY RIGHTS',
-            'CALOPPA', 'INTERNATIONAL USERS', 'CHANGES', 'CONTACT',
-            // English - Terms of Service
-            'Terms of Service', 'About These Terms', 'Intended Use', 'Game Features', 'Privacy and Data',
-            'User Obligations', 'Intellectual Property', 'Availability and Changes',
-            'Disclaimer of Warranties and Liability', 'Governing Law', 'Changes to the Terms', 'Entire Agreement',
-            // Czech - General
-            'Zásady ochrany osobních údajů', 'Shromažďování a používání údajů', 'Lokálně uložená data',
-            'Zabezpečení', 'Změny', 'Platnost zásad od', 'Souhlas uživatele', 'Kontakt', 'ÚVOD', 'Úvod',
-            'Shromažďování osobních údajů', 'IP adresy a serverové zpracování', 'Externí služby – Google Fonts',
-            'Děti', 'Změny zásad', 'DATA, KTERÁ SHROMAŽĎUJEME', 'ÚČELY A PRÁVNÍ ZÁKLADY (GDPR/UK GDPR)',
-            'VAŠE MOŽNOSTI', 'DĚTI A TEENAGEŘI', 'UCHOVÁVÁNÍ DAT', 'SDÍLENÍ A PŘENOSY', 'ZABEZPEČENÍ',
-            'VAŠE PRÁVA NA OCHRANU SOUKROMÍ', 'MEZINÁRODNÍ UŽIVATELÉ', 'ZMĚNY', 'KONTAKT',
-            // Czech - Terms of Service
-            'Podmínky používání', 'O těchto podmínkách', 'Určení aplikace', 'Funkce hry', 'Soukromí a data', 'Vaše povinnosti',
-            'Duševní vlastnictví', 'Dostupnost a změny aplikace', 'Vyloučení záruk a odpovědnosti',
-            'Rozhodné právo', 'Změny Podmínek používání', 'Celá dohoda'
-        ];
-
-        for (let i = 0; i < lines.length; i++) {
-            const trimmedLine = lines[i].trim();
-            const prevLine = i > 0 ? lines[i - 1].trim() : '';
-            const nextLine = i < lines.length - 1 ? lines[i + 1].trim() : '';
-
-            if (!trimmedLine) {
-                // Empty line
-                if (inList) {
-                    html += '</ul>\n';
-                    inList = false;
-                }
-                continue; // Skip empty lines
+                documentTree = newerTree;
+                const olderVersion = selectedIsNewer ? compared : selected;
+                policyContainer.innerHTML = PolicyRenderer.formatPolicyDiff(
+                    PolicyDiff.diff(olderTree.children, newerTree.children),
+                    this.formatDate(olderVersion.updated || olderVersion.effectiveDate)
+                );
+            } else {
+                policyContainer.innerHTML = PolicyRenderer.formatPolicyContent(documentTree);
             }
 
-            // Check for bullet points (lines starting with • or -)
-            if (trimmedLine.startsWith('• ') || trimmedLine.startsWith('- ')) {
-                if (!inList) {
-                    html += '<ul>\n';
-                    inList = true;
-                }
-                let bulletContent = trimmedLine.startsWith('• ') ? trimmedLine.substring(2) : trimmedLine.substring(2);
+            if (content.cachedAt) {
+                policyContainer.insertAdjacentHTML('afterbegin', this.renderCachedNotice(content.cachedAt));
+            }
 
-                // Support formatting in bullet points
-                bulletContent = bulletContent.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+            this.renderTableOfContents(documentTree.children.filter(block => block.type === 'heading'));
+            this.updateVersionControls(versions, selected, compared);
+            this.updateExportControls(exportDocument);
+            this.rendered = true;
 
-                // Convert hidden links format [text](url) to clickable links
-                const hasHiddenLinksInBullet = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/.test(bulletContent);
-                bulletContent = bulletContent.replace(
-                    /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g,
-                    '<a href="$2" target="_blank" rel="noopener noreferrer" class="text-link">$1</a>'
-                );
+            // Header keys may have changed with the resolved route
+            if (window.localizationManager) {
+                window.localizationManager.updateTranslations();
+            }
 
-                // Convert standalone URLs to clickable links (only if no hidden links present)
-                if (!hasHiddenLinksInBullet) {
-                    bulletContent = bulletContent.replace(
-                        /(https?:\/\/[^\s]+)/g,
-                        '<a href="$1" target="_blank" rel="noopener noreferrer" class="text-link">$1</a>'
-                    );
-                }
+            if (position) {
+                this.restoreScrollPosition(position);
+            } else {
+                this.scrollToSection(this.getSectionId());
+            }
+
+            // Search highlights (js/policy-search.js) are redone on the new markup
+            this.core.emit('policyRendered', { app: this.route.app, doc: this.route.doc });
 
-                html += `<li>${bulletContent}</li>\n`;
-                continue;
+        } catch (error) {
+            if (isStale()) {
+                return;
             }
 
-            // Close list if we're not in a bullet point
-            if (inList) {
-                html += '</ul>\n';
-                inList = false;
+            console.error('Error loading policy content:', error);
+
+            this.rendered = false;
+            this.renderTableOfContents([]);
+            this.updateVersionControls([], null, null);
+            this.updateExportControls(null);
+            // Offline without a cached copy gets its own explanation
+            const errorKey = navigator.onLine === false ? 'policy.offline.error' : 'policy.error';
+            policyContainer.innerHTML = `
+                <div class="policy-error">
+                    <p style="color: var(--error-color, #e53e3e);" data-key="${errorKey}">Error loading content. Please try again.</p>
+                    <button type="button" class="policy-retry" data-key="policy.retry">Try again</button>
+                </div>`;
+
+            policyContainer.querySelector('.policy-retry').addEventListener('click', () => {
+                this.loadPolicyContent();
+            });
+
+            if (window.localizationManager) {
+                window.localizationManager.updateTranslations();
             }
+        }
+    }
 
-            // Check if this line is a known headline or looks like a standalone headline
-            const isKnownHeadline = knownHeadlines.includes(trimmedLine);
+    renderCachedNotice(cachedAt) {
+        // "Showing the copy saved on 3 May 2026, 14:20" when sw.js served the file offline
+        const date = new Date(cachedAt);
+        const formatted = Number.isNaN(date.getTime())
+            ? cachedAt
+            : new Intl.DateTimeFormat(this.currentLanguage, { dateStyle: 'long', timeStyle: 'short' }).format(date);
 
-            // Check if line is ALL CAPS (likely a section header)
-            const isAllCaps = trimmedLine === trimmedLine.toUpperCase() &&
-                trimmedLine.length > 3 &&
-                /^[A-ZÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ\s&()\/–-]+$/.test(trimmedLine);
+        return `<p class="policy-offline-notice" role="status" data-key="policy.offline.cached"
+            data-key-args="${MessageFormat.escapeHtml(JSON.stringify({ date: formatted }))}">Showing cached version</p>`;
+    }
 
-            // Check if line follows empty line and is followed by empty line (standalone heading)
-            const isStandaloneHeading = prevLine === '' && nextLine === '';
+    updateVersionControls(versions, selected, compared) {
+        const meta = document.getElementById('policy-meta');
+        if (!meta) {
+            return;
+        }
 
-            // Check if it looks like a heading (short, no punctuation at end, no special chars)
-            const looksLikeHeading = trimmedLine.length < 80 &&
-                trimmedLine.length > 2 &&
-                !trimmedLine.endsWith('.') &&
-                !trimmedLine.endsWith(',') &&
-                !trimmedLine.includes('@') &&
-                !trimmedLine.includes('http') &&
-                !trimmedLine.includes('[') &&
-                !trimmedLine.includes('](') &&
-                !trimmedLine.includes(':') &&
-                !/^\d/.test(trimmedLine); // Doesn't start with a number
+        meta.hidden = !selected;
+        if (!selected) {
+            return;
+        }
 
-            if (isKnownHeadline || isAllCaps || (isStandaloneHeading && looksLikeHeading)) {
-                html += `<h3>${trimmedLine}</h3>\n`;
-            } else {
-                // Support basic Markdown formatting (bold text with **)
-                let formattedLine = trimmedLine.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-
-                // Convert hidden links format [text](url) to clickable links
-                const hasHiddenLinks = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/.test(formattedLine);
-                formattedLine = formattedLine.replace(
-                    /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g,
-                    '<a href="$2" target="_blank" rel="noopener noreferrer" class="text-link">$1</a>'
-                );
+        // "Effective 1 October 2025 · updated 14 December 2025" in the page language
+        const badge = document.getElementById('policy-effective');
+        const label = PolicyRenderer.getEffectiveLabel(selected, this.currentLanguage);
+        badge.setAttribute('data-key', label.key);
+        badge.setAttribute('data-key-args', JSON.stringify(label.args));
 
-                // Convert standalone URLs to clickable links (only if no hidden links present)
-                if (!hasHiddenLinks) {
-                    formattedLine = formattedLine.replace(
-                        /(https?:\/\/[^\s]+)/g,
-                        '<a href="$1" target="_blank" rel="noopener noreferrer" class="text-link">$1</a>'
-                    );
-                }
+        // The picker only makes sense once there is some history
+        const versionControls = document.getElementById('policy-versions');
+        versionControls.hidden = versions.length < 2;
+        if (versionControls.hidden) {
+            return;
+        }
+
+        const renderOption = (entry, index) => {
+            const date = this.formatDate(entry.updated || entry.effectiveDate);
+            const current = index === 0
+                ? ` data-key="policy.versions.current" data-key-args="${MessageFormat.escapeHtml(JSON.stringify({ date }))}"`
+                : '';
+            return `<option value="${MessageFormat.escapeHtml(entry.version)}"${current}>${MessageFormat.escapeHtml(date)}</option>`;
+        };
+
+        const versionSelect = document.getElementById('policy-version');
+        versionSelect.innerHTML = versions.map(renderOption).join('');
+        versionSelect.value = selected.version;
+
+        const compareSelect = document.getElementById('policy-compare');
+        compareSelect.innerHTML = '<option value="" data-key="policy.versions.none">No comparison</option>' +
+            versions.map((entry, index) => entry === selected ? '' : renderOption(entry, index)).join('');
+        compareSelect.value = compared && compared !== selected ? compared.version : '';
+
+        this.setupVersionControls(versionSelect, compareSelect);
+    }
+
+    setupVersionControls(versionSelect, compareSelect) {
+        if (this.versionControlsInitialized) {
+            return;
+        }
+        this.versionControlsInitialized = true;
+
+        const onChange = () => this.selectVersion(versionSelect.value, compareSelect.value);
+        versionSelect.addEventListener('change', onChange);
+        compareSelect.addEventListener('change', onChange);
+    }
+
+    selectVersion(version, compare) {
+        // Keep the choice in the URL so a diff can be linked from a changelog
+        const url = new URL(window.location.href);
+        const latestOption = document.getElementById('policy-version').options[0];
+
+        if (version && (!latestOption || version !== latestOption.value)) {
+            url.searchParams.set('version', version);
+        } else {
+            url.searchParams.delete('version');
+        }
+
+        if (compare) {
+            url.searchParams.set('compare', compare);
+        } else {
+            url.searchParams.delete('compare');
+        }
+
+        window.history.replaceState(null, '', url);
+        this.route = this.parseRoute();
+        this.loadPolicyContent({ preservePosition: true });
+    }
+
+    updateExportControls(exportDocument) {
+        // Print and downloads always use the selected version, also while a diff is shown
+        this.currentDocument = exportDocument;
+
+        const actions = document.getElementById('policy-actions');
+        if (actions) {
+            actions.hidden = !exportDocument;
+            this.setupExportControls(actions);
+        }
 
-                html += `<p>${formattedLine}</p>\n`;
+        // Printed pages end with the effective date and where the document lives
+        const printFooter = document.getElementById('policy-print-footer');
+        if (printFooter) {
+            printFooter.innerHTML = exportDocument ? this.getExportFooter(exportDocument)
+                .map(line => `<p data-key="${line.key}" data-key-args="${MessageFormat.escapeHtml(JSON.stringify(line.args))}"></p>`)
+                .join('') : '';
+        }
+    }
+
+    setupExportControls(actions) {
+        if (this.exportControlsInitialized) {
+            return;
+        }
+        this.exportControlsInitialized = true;
+
+        actions.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-export]');
+            if (button) {
+                this.exportPolicy(button.getAttribute('data-export'));
             }
+        });
+    }
+
+    getExportFooter(exportDocument) {
+        // [{ key, args }]: "Effective 1 October 2025" and "Source: https://..."
+        const lines = [];
+
+        if (exportDocument.version) {
+            lines.push(PolicyRenderer.getEffectiveLabel(exportDocument.version, this.currentLanguage));
+        }
+        lines.push({ key: 'policy.export.source', args: { url: this.getDocumentUrl() } });
+
+        return lines;
+    }
+
+    getDocumentUrl() {
+        // This document in this language and version, without a section, diff or search
+        const url = new URL(window.location.href);
+        url.searchParams.delete('compare');
+        url.searchParams.delete('q');
+        url.hash = this.route.usesHash ? `#/${this.route.app}/${this.route.doc}` : '';
+
+        return url.href;
+    }
+
+    exportPolicy(format) {
+        if (format === 'print') {
+            window.print();
+            return;
+        }
+
+        const exportDocument = this.currentDocument;
+        if (!exportDocument) {
+            return;
+        }
+
+        const t = window.localizationManager
+            ? (key, args) => window.localizationManager.t(key, args)
+            : key => key;
+        const footerLines = this.getExportFooter(exportDocument).map(line => t(line.key, line.args));
+
+        // One parsed document, three formats (see js/policy-renderer.js)
+        const exports = {
+            text: () => ({ extension: 'txt', type: 'text/plain', content: PolicyRenderer.formatPolicyText(exportDocument.tree, footerLines) }),
+            markdown: () => ({ extension: 'md', type: 'text/markdown', content: PolicyRenderer.formatPolicyMarkdown(exportDocument.tree, footerLines) }),
+            html: () => ({
+                extension: 'html',
+                type: 'text/html',
+                content: PolicyRenderer.formatPolicyDocument(exportDocument.tree, { lang: exportDocument.lang, footerLines })
+            })
+        };
+
+        if (!exports[format]) {
+            console.warn(`Unknown policy export format "${format}"`);
+            return;
+        }
+
+        const { extension, type, content } = exports[format]();
+        this.downloadFile(`${this.getExportFileName(exportDocument)}.${extension}`, type, content);
+    }
+
+    getExportFileName(exportDocument) {
+        // couplefy-privacy-cs-2025-10-01
+        const owner = this.route.app === 'studio' ? 'indietap' : this.route.app;
+        const version = exportDocument.version ? `-${exportDocument.version.version}` : '';
+
+        return `${owner}-${this.route.doc}-${exportDocument.lang}${version}`;
+    }
+
+    downloadFile(fileName, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.hidden = true;
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    formatDate(isoDate) {
+        return PolicyRenderer.formatDate(isoDate, this.currentLanguage);
+    }
+
+    renderTableOfContents(headings) {
+        const toc = document.getElementById('policy-toc');
+        if (!toc) {
+            return;
+        }
+
+        const entries = PolicyRenderer.renderTableOfContents(headings, id => this.getSectionHref(id));
+        toc.hidden = !entries;
+        if (toc.hidden) {
+            return;
         }
 
-        // Close any open list
-        if (inList) {
-            html += '</ul>\n';
+        toc.querySelector('.policy-toc-list').innerHTML = entries;
+        this.setupTableOfContents(toc);
+    }
+
+    setupTableOfContents(toc) {
+        if (this.tocInitialized) {
+            return;
         }
+        this.tocInitialized = true;
+
+        // On narrow screens the contents start collapsed and close after a jump
+        const details = toc.querySelector('details');
+        const isNarrow = window.matchMedia('(max-width: 992px)');
+        details.open = !isNarrow.matches;
+
+        toc.addEventListener('click', (event) => {
+            if (event.target.closest('a') && isNarrow.matches) {
+                details.open = false;
+            }
+        });
+    }
+
+    scrollToSection(id) {
+        const section = id && document.getElementById(id);
 
-        return html;
+        if (section && section.closest('#policy-content')) {
+            section.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    captureScrollPosition(policyContainer) {
+        // Remember the section at the top of the viewport and how far it is scrolled
+        const headerHeight = (document.querySelector('.header') || {}).offsetHeight || 0;
+        let current = null;
+
+        policyContainer.querySelectorAll('h3[id], h4[id]').forEach(heading => {
+            if (heading.getBoundingClientRect().top <= headerHeight + 1) {
+                current = heading;
+            }
+        });
+
+        return current
+            ? { id: current.id, offset: current.getBoundingClientRect().top }
+            : { id: null, scrollY: window.scrollY };
+    }
+
+    restoreScrollPosition(position) {
+        // Section ids are shared by all translations, so the same section is found again
+        const section = position.id && document.getElementById(position.id);
+
+        if (section) {
+            window.scrollTo(0, window.scrollY + section.getBoundingClientRect().top - position.offset);
+        } else {
+            window.scrollTo(0, position.scrollY || 0);
+        }
     }
 }
 
-// Initialize the policy loader when the script loads
-const policyLoader = new PolicyLoader();
+// Initialize the policy loader, mounted by the site core (js/core.js)
+const policyLoader = siteCore.register('policyLoader', new PolicyLoader());
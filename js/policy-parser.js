@@ -0,0 +1,230 @@
+/**
+ * Policy Parser - Turns policy text files written in the policy markup
+ * (see assets/policies/README.md) into a document tree:
+ *
+ *   { type: 'document', children: [
+ *       { type: 'heading', level: 1-3, id: 'data-we-collect', children: [inline...] },
+ *       { type: 'paragraph', children: [inline...] },
+ *       { type: 'list', ordered: false, items: [{ children: [inline...], lists: [list...] }] },
+ *       { type: 'definitions', items: [{ term: 'Contact', children: [inline...] }] }
+ *   ] }
+ *
+ * Inline nodes are { type: 'text', value }, { type: 'strong', children }
+ * and { type: 'link', href, children }. Text is kept raw - escaping is up
+ * to the renderer.
+ */
+
+// "## Heading", "- item" / "• item", "1. item", "Label: value"
+const HEADING_PATTERN = /^(#{1,3})\s+(.+)$/;
+const BULLET_PATTERN = /^(\s*)[-•]\s+(.+)$/;
+const NUMBERED_PATTERN = /^(\s*)\d+[.)]\s+(.+)$/;
+const DEFINITION_PATTERN = /^([\p{L}\d][\p{L}\d &/.'’-]{0,39}):\s+(\S.*)$/u;
+
+// "## DATA WE COLLECT {#data-we-collect}" - explicit section id shared by all translations
+const HEADING_ID_PATTERN = /\s*\{#([a-z0-9-]+)\}$/;
+
+// Spaces per nesting level in lists
+const LIST_INDENT = 2;
+
+class PolicyParser {
+    static parse(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const children = [];
+        const usedIds = new Set();
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const trimmedLine = line.trim();
+
+            if (!trimmedLine) {
+                index++;
+                continue;
+            }
+
+            const headingMatch = trimmedLine.match(HEADING_PATTERN);
+            if (headingMatch) {
+                children.push(PolicyParser.parseHeading(headingMatch[1].length, headingMatch[2].trim(), usedIds));
+                index++;
+                continue;
+            }
+
+            if (PolicyParser.isListLine(line)) {
+                const result = PolicyParser.parseList(lines, index, PolicyParser.getIndent(line));
+                children.push(result.list);
+                index = result.nextIndex;
+                continue;
+            }
+
+            // Paragraph: everything up to a blank line, heading or list
+            const paragraphLines = [];
+            while (index < lines.length) {
+                const current = lines[index].trim();
+                if (!current || HEADING_PATTERN.test(current) || PolicyParser.isListLine(lines[index])) {
+                    break;
+                }
+                paragraphLines.push(current);
+                index++;
+            }
+
+            children.push(PolicyParser.parseParagraph(paragraphLines));
+        }
+
+        return { type: 'document', children };
+    }
+
+    static parseHeading(level, text, usedIds) {
+        // Headings without an explicit {#id} get a slug of their own text
+        const idMatch = text.match(HEADING_ID_PATTERN);
+        const content = idMatch ? text.slice(0, idMatch.index) : text;
+        const children = PolicyParser.parseInline(content);
+        const baseId = idMatch ? idMatch[1] : (PolicyParser.slugify(PolicyParser.getText(children)) || 'section');
+
+        // Keep ids unique within the document
+        let id = baseId;
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+            id = `${baseId}-${suffix}`;
+        }
+        usedIds.add(id);
+
+        return { type: 'heading', level, id, children };
+    }
+
+    static slugify(text) {
+        // "Účely & právní základy" -> "ucely-pravni-zaklady"
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    static parseParagraph(paragraphLines) {
+        // A paragraph made only of "Label: value" lines is a definition list
+        const definitions = paragraphLines.map(line => line.match(DEFINITION_PATTERN));
+
+        if (definitions.every(Boolean)) {
+            return {
+                type: 'definitions',
+                items: definitions.map(match => ({
+                    term: match[1].trim(),
+                    children: PolicyParser.parseInline(match[2].trim())
+                }))
+            };
+        }
+
+        return {
+            type: 'paragraph',
+            children: PolicyParser.parseInline(paragraphLines.join(' '))
+        };
+    }
+
+    static parseList(lines, startIndex, indent) {
+        const ordered = NUMBERED_PATTERN.test(lines[startIndex]);
+        const list = { type: 'list', ordered, items: [] };
+        let index = startIndex;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (!line.trim() || !PolicyParser.isListLine(line)) {
+                break;
+            }
+
+            const lineIndent = PolicyParser.getIndent(line);
+
+            if (lineIndent < indent) {
+                break; // Back to a parent list
+            }
+
+            if (lineIndent >= indent + LIST_INDENT && list.items.length) {
+                // Deeper indentation starts a nested list in the last item
+                const nested = PolicyParser.parseList(lines, index, lineIndent);
+                list.items[list.items.length - 1].lists.push(nested.list);
+                index = nested.nextIndex;
+                continue;
+            }
+
+            // A different marker at the same level starts a new list
+            if (NUMBERED_PATTERN.test(line) !== ordered) {
+                break;
+            }
+
+            const match = line.match(ordered ? NUMBERED_PATTERN : BULLET_PATTERN);
+            list.items.push({ children: PolicyParser.parseInline(match[2].trim()), lists: [] });
+            index++;
+        }
+
+        return { list, nextIndex: index };
+    }
+
+    static isListLine(line) {
+        return BULLET_PATTERN.test(line) || NUMBERED_PATTERN.test(line);
+    }
+
+    static getIndent(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+    }
+
+    static parseInline(text) {
+        // **bold**, [text](url), bare URLs and bare email addresses. Link targets may hold one
+        // level of balanced parentheses: [Foo](https://en.wikipedia.org/wiki/Foo_(bar))
+        const nodes = [];
+        const pattern = /\*\*(.+?)\*\*|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|(https?:\/\/[^\s<>"]+)|([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+        let lastIndex = 0;
+        let match;
+
+        const pushText = value => {
+            if (value) {
+                nodes.push({ type: 'text', value });
+            }
+        };
+
+        while ((match = pattern.exec(text)) !== null) {
+            pushText(text.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                nodes.push({ type: 'strong', children: PolicyParser.parseInline(match[1]) });
+            } else if (match[2] !== undefined) {
+                nodes.push({ type: 'link', href: match[3], children: PolicyParser.parseInline(match[2]) });
+            } else if (match[4] !== undefined) {
+                // "see https://example.com." - the full stop is not part of the link
+                const url = PolicyParser.trimTrailingPunctuation(match[4]);
+                nodes.push({ type: 'link', href: url, children: [{ type: 'text', value: url }] });
+                lastIndex = match.index + url.length;
+                pattern.lastIndex = lastIndex;
+            } else {
+                nodes.push({ type: 'link', href: `mailto:${match[5]}`, children: [{ type: 'text', value: match[5] }] });
+            }
+        }
+
+        pushText(text.slice(lastIndex));
+
+        return nodes;
+    }
+
+    static trimTrailingPunctuation(url) {
+        let result = url.replace(/[.,;:!?'"’”]+$/, '');
+
+        // Keep a closing parenthesis only when the URL opened one (Wikipedia-style links)
+        while (result.endsWith(')') && (result.match(/\(/g) || []).length < (result.match(/\)/g) || []).length) {
+            result = result.slice(0, -1).replace(/[.,;:!?'"’”]+$/, '');
+        }
+
+        return result;
+    }
+
+    static getText(nodes) {
+        // Plain text of inline nodes (used for headings and the effective date)
+        return nodes.map(node => node.type === 'text' ? node.value : PolicyParser.getText(node.children)).join('');
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolicyParser;
+} else {
+    window.PolicyParser = PolicyParser;
+}
@@ -0,0 +1,323 @@
+/**
+ * Policy Renderer - Turns a parsed policy document (js/policy-parser.js)
+ * into HTML. Used by PolicyLoader in the browser and by scripts/prerender.js,
+ * so both produce the same markup.
+ */
+
+// Inline styles of the standalone HTML download, light and print friendly
+const POLICY_DOCUMENT_STYLES = `
+body { max-width: 46rem; margin: 2rem auto; padding: 0 1rem; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a1a1a; }
+h2, h3, h4 { line-height: 1.3; }
+a { color: #6d28d9; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+footer { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #ddd; font-size: 0.875rem; color: #555; }
+`;
+
+class PolicyRenderer {
+    static formatPolicyContent(documentTree) {
+        // Render the parsed policy markup (see assets/policies/README.md)
+        return documentTree.children.map(block => PolicyRenderer.renderBlock(block)).join('\n');
+    }
+
+    static formatPolicyDiff(changes, fromDate) {
+        // Unchanged blocks render as usual, changes are wrapped in <ins>/<del>
+        const summaryArgs = { ...PolicyDiff.summarize(changes), from: fromDate };
+        const blocks = changes.map(change => {
+            if (change.status === 'added') {
+                return `<ins class="policy-diff policy-diff-added">${PolicyRenderer.renderBlock(change.block)}</ins>`;
+            }
+            if (change.status === 'removed') {
+                // Removed headings keep no id so links still land on the current text
+                return `<del class="policy-diff policy-diff-removed">${PolicyRenderer.renderBlock({ ...change.block, id: null })}</del>`;
+            }
+            return PolicyRenderer.renderBlock(change.block);
+        });
+
+        return `<p class="policy-diff-summary" data-key="policy.diff.summary"
+            data-key-args="${MessageFormat.escapeHtml(JSON.stringify(summaryArgs))}"></p>\n` + blocks.join('\n');
+    }
+
+    static renderBlock(block) {
+        switch (block.type) {
+            case 'heading': {
+                // "# Title" is h2 because the page header already holds the h1
+                const tag = `h${block.level + 1}`;
+                const id = block.id ? ` id="${MessageFormat.escapeHtml(block.id)}"` : '';
+                return `<${tag}${id}>${PolicyRenderer.renderInline(block.children)}</${tag}>`;
+            }
+            case 'list':
+                return PolicyRenderer.renderList(block);
+            case 'definitions':
+                return `<dl class="policy-definitions">${block.items.map(item => `
+                    <dt>${MessageFormat.escapeHtml(item.term)}</dt>
+                    <dd>${PolicyRenderer.renderInline(item.children)}</dd>`).join('')}
+                </dl>`;
+            default:
+                return `<p>${PolicyRenderer.renderInline(block.children)}</p>`;
+        }
+    }
+
+    static renderList(list) {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const items = list.items.map(item =>
+            `<li>${PolicyRenderer.renderInline(item.children)}${item.lists.map(nested => PolicyRenderer.renderList(nested)).join('')}</li>`
+        );
+
+        return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+    }
+
+    static renderInline(nodes) {
+        // All policy text is escaped; only http(s) and mailto links are emitted
+        return nodes.map(node => {
+            if (node.type === 'strong') {
+                return `<strong>${PolicyRenderer.renderInline(node.children)}</strong>`;
+            }
+            if (node.type === 'link') {
+                return PolicyRenderer.renderLink(node);
+            }
+            return MessageFormat.escapeHtml(node.value);
+        }).join('');
+    }
+
+    static renderLink(node) {
+        const label = PolicyRenderer.renderInline(node.children);
+        const href = node.href.trim();
+
+        if (/^mailto:/i.test(href)) {
+            return `<a href="${MessageFormat.escapeHtml(href)}" class="text-link">${label}</a>`;
+        }
+
+        if (/^https?:\/\//i.test(href)) {
+            return `<a href="${MessageFormat.escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="text-link">${label}</a>`;
+        }
+
+        // Anything else (javascript:, data:, typos) is shown as plain text
+        return label;
+    }
+
+    static formatPolicyText(documentTree, footerLines = []) {
+        // Plain text download: underlined headings, "- " lists, links as "label (https://...)"
+        const blocks = documentTree.children.map(block => {
+            switch (block.type) {
+                case 'heading': {
+                    const text = PolicyRenderer.getPlainText(block.children);
+                    const underline = { 1: '=', 2: '-' }[block.level];
+                    return underline ? `${text}\n${underline.repeat(text.length)}` : text;
+                }
+                case 'list':
+                    return PolicyRenderer.formatTextList(block, '', PolicyRenderer.getPlainText);
+                case 'definitions':
+                    return block.items.map(item => `${item.term}: ${PolicyRenderer.getPlainText(item.children)}`).join('\n');
+                default:
+                    return PolicyRenderer.getPlainText(block.children);
+            }
+        });
+
+        return PolicyRenderer.joinExport(blocks, footerLines, '----');
+    }
+
+    static formatPolicyMarkdown(documentTree, footerLines = []) {
+        // Markdown download, e.g. for a store listing or a compliance ticket
+        const blocks = documentTree.children.map(block => {
+            switch (block.type) {
+                case 'heading':
+                    return `${'#'.repeat(block.level)} ${PolicyRenderer.getMarkdown(block.children)}`;
+                case 'list':
+                    return PolicyRenderer.formatTextList(block, '', PolicyRenderer.getMarkdown);
+                case 'definitions':
+                    // Hard line breaks keep the header block on separate lines
+                    return block.items.map(item =>
+                        `**${PolicyRenderer.escapeMarkdown(item.term)}:** ${PolicyRenderer.getMarkdown(item.children)}`).join('  \n');
+                default:
+                    return PolicyRenderer.getMarkdown(block.children);
+            }
+        });
+
+        return PolicyRenderer.joinExport(blocks, footerLines.map(line => PolicyRenderer.escapeMarkdown(line)), '---', '  \n');
+    }
+
+    static formatPolicyDocument(documentTree, { lang, footerLines = [] }) {
+        // Standalone HTML download: the same markup as the page, readable without our CSS
+        const titleBlock = documentTree.children.find(block => block.type === 'heading' && block.level === 1);
+        const title = titleBlock ? PolicyParser.getText(titleBlock.children) : '';
+        const footer = footerLines.map(line => `<p>${MessageFormat.escapeHtml(line)}</p>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="${MessageFormat.escapeHtml(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${MessageFormat.escapeHtml(title)}</title>
+<style>${POLICY_DOCUMENT_STYLES}</style>
+</head>
+<body>
+<main>
+${PolicyRenderer.formatPolicyContent(documentTree)}
+</main>
+<footer>
+${footer}
+</footer>
+</body>
+</html>
+`;
+    }
+
+    static formatTextList(list, indent, formatInline) {
+        // Nested lists are indented below their item, like in the policy markup
+        return list.items.map((item, index) => {
+            const marker = list.ordered ? `${index + 1}. ` : '- ';
+            const nested = item.lists.map(nestedList =>
+                '\n' + PolicyRenderer.formatTextList(nestedList, indent + ' '.repeat(marker.length), formatInline));
+
+            return `${indent}${marker}${formatInline(item.children)}${nested.join('')}`;
+        }).join('\n');
+    }
+
+    static joinExport(blocks, footerLines, separator, lineBreak = '\n') {
+        // Blocks are separated by blank lines, the footer follows a horizontal rule
+        const footer = footerLines.length ? [separator, footerLines.join(lineBreak)] : [];
+        return [...blocks, ...footer].join('\n\n') + '\n';
+    }
+
+    static getPlainText(nodes) {
+        // Like PolicyParser.getText(), but links keep their target
+        return nodes.map(node => {
+            if (node.type === 'link') {
+                const label = PolicyRenderer.getPlainText(node.children);
+                const target = node.href.replace(/^mailto:/i, '');
+                return label === target ? label : `${label} (${target})`;
+            }
+            return node.type === 'text' ? node.value : PolicyRenderer.getPlainText(node.children);
+        }).join('');
+    }
+
+    static getMarkdown(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'strong') {
+                return `**${PolicyRenderer.getMarkdown(node.children)}**`;
+            }
+            if (node.type === 'link') {
+                // Same rule as renderLink(): only http(s) and mailto targets become links
+                const label = PolicyRenderer.getMarkdown(node.children);
+                const href = node.href.trim();
+                return /^(https?:\/\/|mailto:)/i.test(href) ? `[${label}](${href.replace(/[ ()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)})` : label;
+            }
+            return PolicyRenderer.escapeMarkdown(node.value);
+        }).join('');
+    }
+
+    static escapeMarkdown(text) {
+        return text.replace(/[\\`*_[\]<>]/g, '\\$&');
+    }
+
+    static renderTableOfContents(headings, getSectionHref) {
+        // Sections are "##" headings, "###" subsections are nested below them
+        const sections = [];
+        headings.forEach(heading => {
+            if (heading.level === 2) {
+                sections.push({ heading, subsections: [] });
+            } else if (heading.level === 3 && sections.length) {
+                sections[sections.length - 1].subsections.push(heading);
+            }
+        });
+
+        // A single section needs no table of contents
+        if (sections.length < 2) {
+            return '';
+        }
+
+        const renderEntry = heading => `<a href="${MessageFormat.escapeHtml(getSectionHref(heading.id))}">` +
+            `${MessageFormat.escapeHtml(PolicyParser.getText(heading.children))}</a>`;
+
+        return sections.map(section => `
+            <li>
+                ${renderEntry(section.heading)}
+                ${section.subsections.length ? `<ol>${section.subsections.map(sub => `<li>${renderEntry(sub)}</li>`).join('')}</ol>` : ''}
+            </li>`).join('');
+    }
+
+    static applyHeader(header, owner, policy) {
+        // Title, subtitle, app icon and page meta of a document. `header` holds the elements,
+        // see PolicyLoader.getHeaderElements() and PageBuilder.getHeaderElements() in the build
+        const { title, subtitle, icon } = header;
+
+        if (title) {
+            title.setAttribute('data-key', policy.titleKey);
+        }
+
+        if (subtitle) {
+            PolicyRenderer.setHidden(subtitle, !policy.subtitleKey);
+            if (policy.subtitleKey) {
+                subtitle.setAttribute('data-key', policy.subtitleKey);
+            }
+        }
+
+        if (icon) {
+            PolicyRenderer.setHidden(icon, !owner.icon);
+            if (owner.icon) {
+                icon.setAttribute('src', owner.icon);
+                icon.setAttribute('alt', owner.name);
+            }
+        }
+
+        PolicyRenderer.applyPageMeta(header, policy.titleKey, policy.subtitleKey || 'pages.policy.description');
+    }
+
+    static applyPageMeta({ pageTitle, descriptions, ogTitle }, titleKey, descriptionKey) {
+        // Document title and description/Open Graph tags follow the document shown
+        if (pageTitle) {
+            pageTitle.setAttribute('data-key', titleKey);
+        }
+
+        descriptions.forEach(meta => {
+            meta.setAttribute('data-key-attr', `content:${descriptionKey}`);
+        });
+
+        if (ogTitle) {
+            ogTitle.setAttribute('data-key-attr', `content:${titleKey}`);
+        }
+    }
+
+    static setHidden(element, hidden) {
+        if (hidden === element.hasAttribute('hidden')) {
+            return;
+        }
+
+        if (hidden) {
+            element.setAttribute('hidden', '');
+        } else {
+            element.removeAttribute('hidden');
+        }
+    }
+
+    static getEffectiveLabel(version, lang) {
+        // "Effective 1 October 2025 · updated 14 December 2025" as a locale key + arguments
+        const args = { date: PolicyRenderer.formatDate(version.effectiveDate, lang) };
+
+        if (version.updated) {
+            args.updated = PolicyRenderer.formatDate(version.updated, lang);
+        }
+
+        return { key: version.updated ? 'policy.effectiveUpdated' : 'policy.effective', args };
+    }
+
+    static formatDate(isoDate, lang) {
+        // Index dates are plain YYYY-MM-DD, read them as local dates
+        const date = new Date(`${isoDate}T00:00:00`);
+
+        if (Number.isNaN(date.getTime())) {
+            return isoDate;
+        }
+
+        return new Intl.DateTimeFormat(lang, { dateStyle: 'long' }).format(date);
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolicyRenderer;
+} else {
+    window.PolicyRenderer = PolicyRenderer;
+}
@@ -0,0 +1,419 @@
+/**
+ * Policy Search - Finds text in the policy shown by PolicyLoader, highlights
+ * the matches and steps through them. Matching ignores case, diacritics and
+ * line breaks, so "zabezpeceni" finds "Zabezpečení". With "all apps" checked
+ * it also searches every policy in assets/apps.json and lists the documents
+ * and sections that match.
+ */
+
+// One letter would match nearly every word
+const SEARCH_MIN_LENGTH = 2;
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 200;
+
+// Elements whose text must not run into the next one ("...data" + "Delete...")
+const SEARCH_BLOCKS = 'p, li, dt, dd, h2, h3, h4';
+
+// Visitors who ask for reduced motion jump to a match instead of scrolling to it
+const SEARCH_REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+class PolicySearch {
+    constructor() {
+        this.container = null;
+        this.loader = null;
+        this.query = '';
+        this.matches = [];
+        this.currentIndex = -1;
+        this.searchTimer = null;
+
+        // Set when the page was opened from a result link, see highlight()
+        this.revealSection = false;
+
+        // Parsed documents of the "all apps" search, per path and language
+        this.documents = new Map();
+        this.allSearchId = 0;
+    }
+
+    mount(core) {
+        const search = document.getElementById('policy-search');
+        this.container = document.getElementById('policy-content');
+
+        if (!search || !this.container) {
+            return; // No policy on this page
+        }
+
+        this.loader = core.get('policyLoader');
+        this.input = document.getElementById('policy-search-input');
+        this.status = document.getElementById('policy-search-count');
+        this.allToggle = document.getElementById('policy-search-all');
+        this.results = document.getElementById('policy-search-results');
+
+        // Without JavaScript there is nothing to search with
+        search.hidden = false;
+        this.setupEventListeners(search, core);
+
+        // Links from the "all apps" results carry the query: policy.html?app=clickoji&doc=privacy&q=admob
+        const query = new URLSearchParams(window.location.search).get('q');
+        if (query) {
+            this.input.value = query;
+            this.query = query;
+            this.revealSection = true;
+        }
+        this.updateStatus();
+    }
+
+    setupEventListeners(search, core) {
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(this.input.value), SEARCH_DELAY);
+        });
+
+        // Enter and Shift+Enter step through the matches like the browser's own find
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                clearTimeout(this.searchTimer);
+                if (this.input.value !== this.query) {
+                    this.search(this.input.value);
+                } else {
+                    this.step(event.shiftKey ? -1 : 1);
+                }
+            } else if (event.key === 'Escape' && this.input.value) {
+                event.preventDefault();
+                this.input.value = '';
+                this.search('');
+            }
+        });
+
+        search.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-search]');
+            if (button) {
+                this.step(button.getAttribute('data-search') === 'previous' ? -1 : 1);
+            }
+        });
+
+        this.allToggle.addEventListener('change', () => this.searchAllDocuments());
+
+        // Every render replaces the highlighted markup: the first one, a language switch, another version
+        core.on('policyRendered', () => {
+            this.highlight({ reveal: this.revealSection ? 'section' : null });
+            this.revealSection = false;
+            this.searchAllDocuments();
+        });
+    }
+
+    search(query) {
+        this.query = query;
+        this.highlight({ reveal: 'first' });
+        this.searchAllDocuments();
+    }
+
+    step(direction) {
+        if (!this.matches.length) {
+            return;
+        }
+
+        this.selectMatch((this.currentIndex + direction + this.matches.length) % this.matches.length);
+    }
+
+    highlight({ reveal = null } = {}) {
+        this.clearHighlights();
+
+        const { text, nodes } = this.getText();
+        this.matches = this.wrapMatches(PolicySearch.findMatches(text, this.query), nodes);
+        this.currentIndex = -1;
+
+        if (!this.matches.length) {
+            this.updateStatus();
+            return;
+        }
+
+        // Arriving from a result link, the first match in the linked section comes first
+        if (reveal === 'section') {
+            const sectionId = this.loader && this.loader.getSectionId();
+            const section = sectionId && document.getElementById(sectionId);
+            const index = section
+                ? this.matches.findIndex(marks => section.compareDocumentPosition(marks[0]) & Node.DOCUMENT_POSITION_FOLLOWING)
+                : -1;
+            this.selectMatch(Math.max(index, 0), { scroll: !section });
+        } else {
+            this.selectMatch(0, { scroll: reveal === 'first' });
+        }
+    }
+
+    getText() {
+        // Text of the rendered policy plus where each text node starts in it
+        const walker = document.createTreeWalker(this.container, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let text = '';
+        let lastBlock = null;
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const block = node.parentElement.closest(SEARCH_BLOCKS);
+            if (block !== lastBlock) {
+                text += '\n';
+                lastBlock = block;
+            }
+            nodes.push({ node, start: text.length });
+            text += node.nodeValue;
+        }
+
+        return { text, nodes };
+    }
+
+    wrapMatches(ranges, nodes) {
+        // A match over "<strong>Ad</strong>Mob" needs one <mark> per text node
+        const matches = ranges.map(() => []);
+        const segments = [];
+
+        ranges.forEach((range, index) => {
+            nodes.forEach(({ node, start }) => {
+                const from = Math.max(range.start, start);
+                const to = Math.min(range.end, start + node.nodeValue.length);
+                if (from < to) {
+                    segments.push({ node, from: from - start, to: to - start, index });
+                }
+            });
+        });
+
+        // Last segment first, so the offsets of the earlier ones in the same node stay valid
+        segments.reverse().forEach(({ node, from, to, index }) => {
+            const mark = document.createElement('mark');
+            mark.className = 'policy-search-match';
+
+            const range = document.createRange();
+            range.setStart(node, from);
+            range.setEnd(node, to);
+            range.surroundContents(mark);
+            matches[index].unshift(mark);
+        });
+
+        return matches;
+    }
+
+    clearHighlights() {
+        this.container.querySelectorAll('mark.policy-search-match').forEach(mark => {
+            mark.replaceWith(...mark.childNodes);
+        });
+        this.container.normalize();
+        this.matches = [];
+    }
+
+    selectMatch(index, { scroll = true } = {}) {
+        if (this.matches[this.currentIndex]) {
+            this.matches[this.currentIndex].forEach(mark => mark.classList.remove('policy-search-current'));
+        }
+
+        this.currentIndex = index;
+        const marks = this.matches[index];
+        marks.forEach(mark => mark.classList.add('policy-search-current'));
+
+        if (scroll) {
+            marks[0].scrollIntoView({
+                behavior: window.matchMedia(SEARCH_REDUCED_MOTION_QUERY).matches ? 'auto' : 'smooth',
+                block: 'center'
+            });
+        }
+
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const searching = PolicySearch.normalize(this.query).text.trim().length >= SEARCH_MIN_LENGTH;
+
+        if (!searching) {
+            this.status.textContent = '';
+        } else if (this.matches.length) {
+            this.status.textContent = this.t('policy.search.count', { current: this.currentIndex + 1, total: this.matches.length });
+        } else {
+            this.status.textContent = this.t('policy.search.none');
+        }
+
+        document.querySelectorAll('#policy-search button[data-search]').forEach(button => {
+            button.disabled = !this.matches.length;
+        });
+    }
+
+    async searchAllDocuments() {
+        // Later searches win over slower earlier ones
+        const searchId = ++this.allSearchId;
+        const query = this.query;
+
+        if (!this.allToggle.checked || PolicySearch.normalize(query).text.trim().length < SEARCH_MIN_LENGTH) {
+            this.results.hidden = true;
+            this.results.innerHTML = '';
+            return;
+        }
+
+        this.results.hidden = false;
+        this.results.innerHTML = `<p class="policy-search-summary">${MessageFormat.escapeHtml(this.t('policy.search.searching'))}</p>`;
+
+        try {
+            await window.appCatalog.loadManifest();
+            const documents = await Promise.all(window.appCatalog.listPolicies().map(async ({ owner, doc, policy }) => ({
+                owner,
+                doc,
+                sections: PolicySearch.findSections(await this.loadDocument(policy.path), query)
+            })));
+
+            if (searchId === this.allSearchId) {
+                this.renderResults(documents.filter(entry => entry.sections.length), query);
+            }
+        } catch (error) {
+            console.error('Error searching policies:', error);
+            if (searchId === this.allSearchId) {
+                this.results.innerHTML = `<p class="policy-search-summary">${MessageFormat.escapeHtml(this.t('policy.search.error'))}</p>`;
+            }
+        }
+    }
+
+    loadDocument(path) {
+        // Same language fallback as the page itself, see PolicyLoader.fetchPolicyText()
+        const language = this.loader.currentLanguage;
+        const cacheKey = `${language}:${path}`;
+
+        if (!this.documents.has(cacheKey)) {
+            this.documents.set(cacheKey, this.loader.fetchPolicyText(null, path)
+                .then(content => PolicyParser.parse(content.text))
+                .catch(error => {
+                    // Allow a later search to retry
+                    this.documents.delete(cacheKey);
+                    throw error;
+                }));
+        }
+
+        return this.documents.get(cacheKey);
+    }
+
+    renderResults(documents, query) {
+        if (!documents.length) {
+            this.results.innerHTML = `<p class="policy-search-summary">${MessageFormat.escapeHtml(this.t('policy.search.noResults'))}</p>`;
+            return;
+        }
+
+        const summary = this.t('policy.search.results', { count: documents.length });
+        const entries = documents.map(({ owner, doc, sections }) => {
+            const links = sections.map(section => `
+                <li>
+                    <a href="${MessageFormat.escapeHtml(this.getResultHref(owner.id, doc, section.id, query))}" class="text-link">${MessageFormat.escapeHtml(section.title || this.t('policy.search.intro'))}</a>
+                    <span class="policy-search-hits">${MessageFormat.escapeHtml(this.t('policy.search.matches', { count: section.count }))}</span>
+                </li>`).join('');
+
+            return `
+                <li>
+                    <p class="policy-search-document">${MessageFormat.escapeHtml(`${owner.name} · ${this.t(`apps.common.${doc}`)}`)}</p>
+                    <ul class="policy-search-sections">${links}</ul>
+                </li>`;
+        }).join('');
+
+        this.results.innerHTML = `
+            <p class="policy-search-summary">${MessageFormat.escapeHtml(summary)}</p>
+            <ul class="policy-search-documents">${entries}</ul>`;
+    }
+
+    getResultHref(app, doc, sectionId, query) {
+        // Sections of the open document are jumped to in place, the highlights are already there
+        if (this.loader.route.app === app && this.loader.route.doc === doc && sectionId) {
+            return this.loader.getSectionHref(sectionId);
+        }
+
+        const url = `${window.appCatalog.getPolicyUrl(app, doc)}&q=${encodeURIComponent(query)}`;
+        return sectionId ? `${url}#${encodeURIComponent(sectionId)}` : url;
+    }
+
+    t(key, args) {
+        return window.localizationManager ? window.localizationManager.t(key, args) : key;
+    }
+
+    static normalize(text) {
+        // Lower case without diacritics and with single spaces. starts/ends map every
+        // character of the result back to the original text, so matches can be highlighted.
+        let result = '';
+        const starts = [];
+        const ends = [];
+
+        for (let index = 0; index < text.length;) {
+            const char = String.fromCodePoint(text.codePointAt(index));
+            const next = index + char.length;
+
+            if (/\s/.test(char)) {
+                if (!result.endsWith(' ')) {
+                    result += ' ';
+                    starts.push(index);
+                    ends.push(next);
+                }
+            } else {
+                // "č" -> "c" + caron -> "c"
+                for (const folded of char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()) {
+                    result += folded;
+                    for (let unit = 0; unit < folded.length; unit++) {
+                        starts.push(index);
+                        ends.push(next);
+                    }
+                }
+            }
+
+            index = next;
+        }
+
+        return { text: result, starts, ends };
+    }
+
+    static findMatches(text, query) {
+        // [{ start, end }] in the original text, without overlaps
+        const needle = PolicySearch.normalize(query).text.trim();
+        if (needle.length < SEARCH_MIN_LENGTH) {
+            return [];
+        }
+
+        const haystack = PolicySearch.normalize(text);
+        const matches = [];
+        let index = haystack.text.indexOf(needle);
+
+        while (index !== -1) {
+            matches.push({ start: haystack.starts[index], end: haystack.ends[index + needle.length - 1] });
+            index = haystack.text.indexOf(needle, index + needle.length);
+        }
+
+        return matches;
+    }
+
+    static findSections(documentTree, query) {
+        // [{ id, title, count }] for the "all apps" results; text before the first section has no id
+        const sections = [];
+        let current = { id: null, title: null, count: 0 };
+
+        const count = text => {
+            current.count += PolicySearch.findMatches(text, query).length;
+        };
+        const countList = list => list.items.forEach(item => {
+            count(PolicyParser.getText(item.children));
+            item.lists.forEach(countList);
+        });
+
+        documentTree.children.forEach(block => {
+            if (block.type === 'heading' && block.level > 1) {
+                sections.push(current);
+                current = { id: block.id, title: PolicyParser.getText(block.children), count: 0 };
+                count(current.title);
+            } else if (block.type === 'list') {
+                countList(block);
+            } else if (block.type === 'definitions') {
+                block.items.forEach(item => count(`${item.term}: ${PolicyParser.getText(item.children)}`));
+            } else {
+                count(PolicyParser.getText(block.children));
+            }
+        });
+        sections.push(current);
+
+        return sections.filter(section => section.count > 0);
+    }
+}
+
+// Initialize the policy search, mounted by the site core (js/core.js) after the policy loader
+const policySearch = siteCore.register('policySearch', new PolicySearch());
+
+// Export for use in other scripts
+window.policySearch = policySearch;
@@ -0,0 +1,252 @@
+/**
+ * Roadmap - Renders the ideas board on roadmap.html from assets/roadmap.json:
+ * what is planned, in progress and shipped for each app, filtered by app and
+ * status. Item texts are translated in the data file itself
+ * ({ "en": "...", "cs": "..." }) and fall back like the policies do.
+ */
+
+// Board columns, in order
+const ROADMAP_STATUSES = [
+    { id: 'planned', labelKey: 'roadmap.statuses.planned', label: 'Planned' },
+    { id: 'in-progress', labelKey: 'roadmap.statuses.inProgress', label: 'In progress' },
+    { id: 'shipped', labelKey: 'roadmap.statuses.shipped', label: 'Shipped' }
+];
+
+class RoadmapBoard {
+    constructor(languageRegistry) {
+        this.languageRegistry = languageRegistry;
+        this.manifest = null;
+        this.items = [];
+
+        // null means "all"; kept in the URL as ?app=clickoji&status=planned
+        this.filters = { app: null, status: null };
+        this.board = null;
+    }
+
+    async mount() {
+        this.board = document.getElementById('roadmap-board');
+        if (!this.board) {
+            return; // No roadmap on this page
+        }
+
+        this.appFilter = document.getElementById('roadmap-app');
+        this.statusFilter = document.querySelector('.roadmap-status-filter');
+        this.readFilters();
+        this.setupEventListeners();
+
+        // The prerendered board stays usable if loading fails, only re-rendered when the data is here
+        this.applyFilters();
+
+        try {
+            const [manifest, roadmap] = await Promise.all([
+                window.appCatalog.loadManifest(),
+                this.loadRoadmap(this.board.getAttribute('data-roadmap'))
+            ]);
+
+            this.setData(manifest, roadmap);
+            this.render();
+        } catch (error) {
+            console.error('Error loading roadmap:', error);
+        }
+    }
+
+    async loadRoadmap(roadmapPath) {
+        const response = await fetch(roadmapPath);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    setData(manifest, roadmap) {
+        this.manifest = manifest;
+
+        // Items for unknown apps or statuses would never show up in a column, skip them loudly
+        this.items = roadmap.items.filter(item => {
+            const valid = this.getApp(item.app) && ROADMAP_STATUSES.some(status => status.id === item.status);
+            if (!valid) {
+                console.warn(`Roadmap item "${item.id}" has an unknown app or status`);
+            }
+            return valid;
+        });
+    }
+
+    setupEventListeners() {
+        this.appFilter.addEventListener('change', () => {
+            this.setFilter('app', this.appFilter.value);
+        });
+
+        this.statusFilter.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-status]');
+            if (button) {
+                this.setFilter('status', button.getAttribute('data-status'));
+            }
+        });
+
+        // Item texts come from the data file, not the locale files
+        siteCore.on('languageChanged', () => {
+            if (this.manifest) {
+                this.render();
+            }
+        });
+    }
+
+    readFilters() {
+        const params = new URLSearchParams(window.location.search);
+        const app = params.get('app');
+        const status = params.get('status');
+
+        this.filters = {
+            app: app || null,
+            status: ROADMAP_STATUSES.some(candidate => candidate.id === status) ? status : null
+        };
+    }
+
+    setFilter(name, value) {
+        this.filters[name] = value || null;
+        this.applyFilters();
+        this.updateFilterUrl();
+    }
+
+    updateFilterUrl() {
+        // Shareable filter, without adding a history entry
+        const url = new URL(window.location.href);
+
+        Object.entries(this.filters).forEach(([name, value]) => {
+            if (value) {
+                url.searchParams.set(name, value);
+            } else {
+                url.searchParams.delete(name);
+            }
+        });
+
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
+    render() {
+        const lang = document.documentElement.lang;
+
+        this.appFilter.innerHTML = this.renderAppOptions();
+        this.board.innerHTML = this.renderBoard(lang);
+        this.applyFilters();
+
+        // Apply current translations to the freshly rendered board
+        if (window.localizationManager) {
+            window.localizationManager.updateTranslations();
+        }
+    }
+
+    applyFilters() {
+        const { app, status } = this.filters;
+
+        // An app without items (or a typo in the URL) shows everything rather than an empty board
+        const hasApp = app && Array.from(this.appFilter.options).some(option => option.value === app);
+        const appFilter = hasApp ? app : null;
+
+        this.appFilter.value = appFilter || '';
+        this.statusFilter.querySelectorAll('button[data-status]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-status') === (status || '')));
+        });
+
+        this.board.querySelectorAll('.roadmap-column').forEach(column => {
+            column.hidden = !!status && column.getAttribute('data-status') !== status;
+
+            const items = Array.from(column.querySelectorAll('.roadmap-item'));
+            items.forEach(item => {
+                item.hidden = !!appFilter && item.getAttribute('data-app') !== appFilter;
+            });
+
+            const visible = items.filter(item => !item.hidden).length;
+            column.querySelector('.roadmap-count').textContent = visible;
+            column.querySelector('.roadmap-empty').hidden = visible > 0;
+        });
+    }
+
+    getApp(appId) {
+        if (appId === 'studio') {
+            return this.manifest.studio;
+        }
+        return this.manifest.apps.find(app => app.id === appId) || null;
+    }
+
+    getLocalized(value, lang) {
+        // "text" or { en: "text", cs: "text" } -> { text, lang } in the best available language
+        if (!value || typeof value === 'string') {
+            return { text: value || '', lang };
+        }
+
+        const code = this.languageRegistry.getFallbackChain(lang).find(candidate => value[candidate])
+            || Object.keys(value)[0];
+        return { text: value[code], lang: code };
+    }
+
+    renderAppOptions() {
+        // Apps that have at least one item, in manifest order, the website last
+        const appIds = [...this.manifest.apps.map(app => app.id), 'studio']
+            .filter(appId => this.items.some(item => item.app === appId));
+
+        return `<option value="" data-key="roadmap.filters.allApps">All apps</option>` +
+            appIds.map(appId => `<option value="${MessageFormat.escapeHtml(appId)}">` +
+                `${MessageFormat.escapeHtml(this.getApp(appId).name)}</option>`).join('');
+    }
+
+    renderBoard(lang) {
+        return ROADMAP_STATUSES.map(status => {
+            const items = this.items.filter(item => item.status === status.id);
+
+            return `
+                <section class="roadmap-column" data-status="${status.id}" aria-labelledby="roadmap-${status.id}">
+                    <h2 id="roadmap-${status.id}">
+                        <span data-key="${status.labelKey}">${status.label}</span>
+                        <span class="roadmap-count">${items.length}</span>
+                    </h2>
+                    <ul class="roadmap-list">${items.map(item => this.renderItem(item, lang)).join('')}</ul>
+                    <p class="roadmap-empty" data-key="roadmap.empty"${items.length ? ' hidden' : ''}>Nothing here yet.</p>
+                </section>`;
+        }).join('\n');
+    }
+
+    renderItem(item, lang) {
+        const app = this.getApp(item.app);
+        const title = this.getLocalized(item.title, lang);
+        const description = item.description ? this.getLocalized(item.description, lang) : null;
+
+        // Mark text shown in a fallback language for screen readers
+        const langAttr = text => text.lang !== lang ? ` lang="${MessageFormat.escapeHtml(text.lang)}"` : '';
+
+        // The app's own palette, like its card in the apps grid
+        const accent = app.accent ? ` data-accent style="${MessageFormat.escapeHtml(ThemeManager.getAccentStyle(app.accent))}"` : '';
+
+        const version = item.version ? `
+                        <p class="roadmap-item-version" data-key="roadmap.shippedIn"
+                            data-key-args="${MessageFormat.escapeHtml(JSON.stringify({ version: item.version }))}">Shipped in ${MessageFormat.escapeHtml(item.version)}</p>` : '';
+
+        return `
+                    <li class="roadmap-item" id="idea-${MessageFormat.escapeHtml(item.id)}" data-app="${MessageFormat.escapeHtml(item.app)}"${accent}>
+                        <p class="roadmap-item-app">${MessageFormat.escapeHtml(app.name)}</p>
+                        <h3${langAttr(title)}>${MessageFormat.escapeHtml(title.text)}</h3>
+                        ${description ? `<p class="roadmap-item-description"${langAttr(description)}>${MessageFormat.escapeHtml(description.text)}</p>` : ''}${version}
+                        <a href="${MessageFormat.escapeHtml(this.getSuggestUrl(item.app))}" class="text-link roadmap-item-suggest"
+                            data-key="roadmap.suggest"
+                            data-key-args="${MessageFormat.escapeHtml(JSON.stringify({ app: app.name }))}">Suggest an idea for ${MessageFormat.escapeHtml(app.name)}</a>
+                    </li>`;
+    }
+
+    getSuggestUrl(appId) {
+        // Feature request topic with the app already chosen, see js/contact-form.js
+        return `contact.html?category=feature&app=${encodeURIComponent(appId)}#contact-form`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // The Node build (scripts/prerender.js) renders the board itself
+    module.exports = RoadmapBoard;
+} else {
+    // Initialize the roadmap board, mounted by the site core (js/core.js)
+    const roadmapBoard = siteCore.register('roadmap', new RoadmapBoard(window.languageRegistry));
+
+    // Export for use in other scripts
+    window.roadmapBoard = roadmapBoard;
+}
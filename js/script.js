@@ -1,129 +1,523 @@
-// DOM Content Loaded Event
-document.addEventListener('DOMContentLoaded', function() {
-    // Tab functionality
-    initializeTabs();
-    
-    // Mobile menu functionality
-    initializeMobileMenu();
-    
-    // Smooth scrolling for navigation links
-    initializeSmoothScrolling();
-    
-    // Add scroll effect to header
-    initializeScrollHeader();
-    
-    // Set active navigation state
-    initializeActiveNavigation();
-});
+// Page components, mounted by the site core (js/core.js) once the DOM and the strings are ready
+// Tab functionality
+siteCore.register('tabs', { mount: initializeTabs });
+
+// Mobile menu functionality
+siteCore.register('mobileMenu', { mount: initializeMobileMenu });
+
+// Active navigation link, in-page anchors and scroll-spy
+siteCore.register('navigation', { mount: initializeNavigation });
+
+// Add scroll effect to header
+siteCore.register('scrollHeader', { mount: initializeScrollHeader });
+
+// Tab Functionality - accessible tab groups (WAI-ARIA tabs pattern).
+// Every .tabs element is an independent group; its .tab-button[data-tab] buttons
+// point at .tab-panel ids. Give the .tabs element an id to remember the choice.
+const tabGroups = [];
+
+// Tabs are stacked below this width, see .tabs in css/styles.css
+const TABS_STACKED_QUERY = '(max-width: 768px)';
 
-// Tab Functionality
 function initializeTabs() {
-    const tabButtons = document.querySelectorAll('.tab-button');
-    const tabPanels = document.querySelectorAll('.tab-panel');
-    
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function(e) {
-            e.preventDefault();
-            e.stopPropagation();
-            const targetTab = this.getAttribute('data-tab');
-            
-            // Remove active class from all buttons and panels
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            tabPanels.forEach(panel => panel.classList.remove('active'));
-            
-            // Add active class to clicked button and corresponding panel
-            this.classList.add('active');
-            document.getElementById(targetTab).classList.add('active');
-        });
+    document.querySelectorAll('.tabs').forEach(tablist => {
+        tabGroups.push(new TabGroup(tablist));
     });
+
+    if (!tabGroups.length) {
+        return;
+    }
+
+    // #panel-id, or the id of something inside a panel, opens that tab
+    const target = getHashTarget();
+    if (revealTabFor(target, true)) {
+        target.scrollIntoView();
+    }
+
+    window.addEventListener('hashchange', function() {
+        const hashTarget = getHashTarget();
+        if (revealTabFor(hashTarget)) {
+            hashTarget.scrollIntoView();
+        }
+    });
+}
+
+function getHashTarget() {
+    try {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        return id ? document.getElementById(id) : null;
+    } catch (error) {
+        return null; // Malformed hash such as "#%"
+    }
+}
+
+function revealTabFor(element, silent = false) {
+    // Selects the tab whose panel holds the element; false when it isn't in a tab
+    return !!element && tabGroups.some(group => group.reveal(element, silent));
+}
+
+class TabGroup {
+    constructor(tablist) {
+        this.tablist = tablist;
+        this.selected = null;
+        this.storageKey = tablist.id ? `tabs:${tablist.id}` : null;
+
+        // A tab pointing at a missing panel is hidden instead of breaking the group
+        this.tabs = Array.from(tablist.querySelectorAll('.tab-button[data-tab]')).filter(tab => {
+            const hasPanel = !!this.getPanel(tab);
+            if (!hasPanel) {
+                console.warn(`Tab panel #${tab.getAttribute('data-tab')} not found`);
+                tab.hidden = true;
+            }
+            return hasPanel;
+        });
+
+        if (!this.tabs.length) {
+            return;
+        }
+
+        this.setupAttributes();
+        this.setupEventListeners();
+        this.select(this.getInitialTab(), { focus: false, silent: true });
+    }
+
+    getPanel(tab) {
+        return document.getElementById(tab.getAttribute('data-tab'));
+    }
+
+    setupAttributes() {
+        this.tablist.setAttribute('role', 'tablist');
+        // The markup hides the tabs, so pages without JS show every panel
+        this.tablist.hidden = false;
+
+        const stacked = window.matchMedia(TABS_STACKED_QUERY);
+        const updateOrientation = () => {
+            this.tablist.setAttribute('aria-orientation', stacked.matches ? 'vertical' : 'horizontal');
+        };
+        updateOrientation();
+        stacked.addEventListener('change', updateOrientation);
+
+        this.tabs.forEach(tab => {
+            const panel = this.getPanel(tab);
+            if (!tab.id) {
+                tab.id = `${panel.id}-tab`;
+            }
+
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', panel.id);
+
+            panel.setAttribute('role', 'tabpanel');
+            panel.setAttribute('aria-labelledby', tab.id);
+            panel.tabIndex = 0;
+        });
+    }
+
+    setupEventListeners() {
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.select(tab);
+            });
+        });
+
+        // Arrow keys move between tabs (wrapping around), Home/End jump to the first/last one
+        this.tablist.addEventListener('keydown', (e) => {
+            const index = this.tabs.indexOf(e.target);
+            if (index === -1) {
+                return;
+            }
+
+            const count = this.tabs.length;
+            const targets = {
+                ArrowRight: (index + 1) % count,
+                ArrowDown: (index + 1) % count,
+                ArrowLeft: (index - 1 + count) % count,
+                ArrowUp: (index - 1 + count) % count,
+                Home: 0,
+                End: count - 1
+            };
+
+            if (e.key in targets) {
+                e.preventDefault();
+                this.select(this.tabs[targets[e.key]]);
+            }
+        });
+    }
+
+    getInitialTab() {
+        // Remembered choice, then the tab marked active in the HTML, then the first one
+        const savedPanel = this.storageKey && localStorage.getItem(this.storageKey);
+
+        return this.tabs.find(tab => tab.getAttribute('data-tab') === savedPanel)
+            || this.tabs.find(tab => tab.classList.contains('active') || tab.getAttribute('aria-selected') === 'true')
+            || this.tabs[0];
+    }
+
+    reveal(element, silent = false) {
+        const tab = this.tabs.find(candidate => this.getPanel(candidate).contains(element));
+        if (!tab) {
+            return false;
+        }
+
+        // The URL already points here, keep it as it is
+        this.select(tab, { focus: false, silent, updateHash: false });
+        return true;
+    }
+
+    select(tab, { focus = true, silent = false, updateHash = true } = {}) {
+        const previousTab = this.selected;
+
+        this.tabs.forEach(candidate => {
+            const isSelected = candidate === tab;
+            const panel = this.getPanel(candidate);
+
+            candidate.setAttribute('aria-selected', String(isSelected));
+            candidate.tabIndex = isSelected ? 0 : -1;
+            candidate.classList.toggle('active', isSelected);
+            panel.hidden = !isSelected;
+            panel.classList.toggle('active', isSelected);
+        });
+
+        this.selected = tab;
+
+        if (focus) {
+            tab.focus();
+        }
+
+        if (silent || previousTab === tab) {
+            return;
+        }
+
+        const panel = this.getPanel(tab);
+
+        if (this.storageKey) {
+            localStorage.setItem(this.storageKey, panel.id);
+        }
+
+        if (updateHash) {
+            // Deep link to the tab without jumping to it or adding a history entry
+            window.history.replaceState(window.history.state, '', `#${panel.id}`);
+        }
+
+        this.tablist.dispatchEvent(new CustomEvent('tabchange', {
+            bubbles: true,
+            detail: { tab, panel, previousTab }
+        }));
+    }
 }
 
-// Mobile Menu Functionality
+// Mobile Menu Functionality - modal navigation dialog below the 768px breakpoint.
+// The toggle stays on top of the menu and acts as its close button.
+const MOBILE_MENU_QUERY = '(max-width: 768px)';
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), select:not([disabled]), input:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
 function initializeMobileMenu() {
     const mobileToggle = document.querySelector('.mobile-menu-toggle');
     const mobileMenu = document.querySelector('.mobile-menu');
-    
+
     if (mobileToggle && mobileMenu) {
-        mobileToggle.addEventListener('click', function(e) {
+        window.mobileMenu = new MobileMenu(mobileToggle, mobileMenu);
+    }
+}
+
+class MobileMenu {
+    constructor(toggle, menu) {
+        this.toggle = toggle;
+        this.menu = menu;
+        this.isOpen = false;
+        this.mediaQuery = window.matchMedia(MOBILE_MENU_QUERY);
+
+        // Page content hidden from assistive technology while the menu is open
+        this.inertElements = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.toggle.addEventListener('click', (e) => {
             e.preventDefault();
-            e.stopPropagation();
-            mobileMenu.classList.toggle('active');
-            this.classList.toggle('active');
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
         });
-        
+
         // Close mobile menu when clicking on navigation links
-        const mobileNavLinks = mobileMenu.querySelectorAll('.nav-link');
-        mobileNavLinks.forEach(link => {
-            link.addEventListener('click', function(e) {
+        this.menu.querySelectorAll('a[href]').forEach(link => {
+            link.addEventListener('click', () => {
                 // Don't prevent default - let navigation work normally
-                mobileMenu.classList.remove('active');
-                mobileToggle.classList.remove('active');
+                this.close({ restoreFocus: false });
             });
         });
-        
-        // Close mobile menu when clicking outside (but not on controls)
-        document.addEventListener('click', function(e) {
-            const controls = document.querySelector('.controls');
-            const languageSwitch = document.querySelector('.language-switch');
-            const isControlsClick = controls && controls.contains(e.target);
-            const isLanguageSwitchClick = languageSwitch && languageSwitch.contains(e.target);
-            
-            // Don't close mobile menu if clicking on controls or language switch
-            if (!mobileMenu.contains(e.target) && !mobileToggle.contains(e.target) && !isControlsClick && !isLanguageSwitchClick) {
-                mobileMenu.classList.remove('active');
-                mobileToggle.classList.remove('active');
+
+        // Escape closes, Tab stays inside the menu and its toggle
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) {
+                return;
+            }
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        // Clicks on the header around the toggle close the menu, the controls inside it don't
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.toggle.contains(e.target)) {
+                this.close({ restoreFocus: false });
+            }
+        });
+
+        // Above the breakpoint the desktop navigation takes over
+        this.mediaQuery.addEventListener('change', () => {
+            if (!this.mediaQuery.matches && this.isOpen) {
+                this.close({ restoreFocus: false });
             }
         });
     }
-}
 
-// Smooth Scrolling for Navigation Links
-function initializeSmoothScrolling() {
-    const navLinks = document.querySelectorAll('a[href^="#"]');
-    
-    navLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
+    getFocusableElements() {
+        const menuElements = Array.from(this.menu.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => element.offsetParent !== null);
+        return [this.toggle, ...menuElements];
+    }
+
+    open() {
+        this.isOpen = true;
+        this.menu.classList.add('active');
+        this.toggle.classList.add('active');
+        this.toggle.setAttribute('aria-expanded', 'true');
+
+        // Lock background scroll and hide the rest of the page behind the dialog
+        document.body.classList.add('mobile-menu-open');
+        const header = this.toggle.closest('header');
+        this.inertElements = Array.from(document.body.children)
+            .filter(element => element !== this.menu && element !== header && element.tagName !== 'SCRIPT' && !element.inert);
+        this.inertElements.forEach(element => {
+            element.inert = true;
+        });
+
+        const firstLink = this.getFocusableElements()[1];
+        if (firstLink) {
+            firstLink.focus();
+        }
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.isOpen = false;
+        this.menu.classList.remove('active');
+        this.toggle.classList.remove('active');
+        this.toggle.setAttribute('aria-expanded', 'false');
+
+        document.body.classList.remove('mobile-menu-open');
+        this.inertElements.forEach(element => {
+            element.inert = false;
+        });
+        this.inertElements = [];
+
+        if (restoreFocus) {
+            this.toggle.focus();
+        }
+    }
+
+    trapFocus(e) {
+        const focusable = this.getFocusableElements();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
             e.preventDefault();
-            
-            const targetId = this.getAttribute('href');
-            
-            // Check if we're on a different page and need to navigate to index.html
-            if ((targetId === '#apps' || targetId === '#hero') && !window.location.pathname.endsWith('index.html') && window.location.pathname !== '/') {
-                window.location.href = 'index.html' + targetId;
-                return;
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!focusable.includes(document.activeElement)) {
+            // Focus escaped (e.g. clicked on the page behind), bring it back
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Site Navigation - one route table drives the active header link, in-page
+// anchor scrolling and the scroll-spy. `file` matches the page file name,
+// `nav` is the header link (data-nav) of the page and `sections` map section
+// ids to the link highlighted while that section is in view.
+const ROUTES = [
+    { file: /^(index\.html)?$/, nav: 'apps', sections: { hero: null, apps: 'apps' } },
+    { file: /^about\.html$/, nav: 'about' },
+    { file: /^contact\.html$/, nav: 'contact' },
+    { file: /^roadmap\.html$/, nav: 'apps' },
+    // policy.html?app=clickoji&doc=terms and the prerendered privacy.html, terms.html and clickoji-terms.html
+    { file: /^(policy|privacy|terms|[\w-]+-(privacy|terms))\.html$/, nav: 'apps' }
+];
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function initializeNavigation() {
+    const header = document.querySelector('.header');
+    if (!header) {
+        return;
+    }
+
+    window.siteNavigation = new SiteNavigation(header, getCurrentRoute());
+}
+
+function getCurrentRoute() {
+    return findRoute(window.location.pathname.split('/').pop());
+}
+
+function findRoute(file) {
+    return ROUTES.find(route => route.file.test(file)) || null;
+}
+
+class SiteNavigation {
+    constructor(header, route) {
+        this.header = header;
+        this.route = route;
+        this.navLinks = Array.from(document.querySelectorAll('.nav-link[data-nav]'));
+        this.reducedMotion = window.matchMedia(REDUCED_MOTION_QUERY);
+
+        // Sections of this page that exist, in document order
+        const sectionIds = Object.keys((route && route.sections) || {});
+        this.sections = sectionIds.map(id => document.getElementById(id)).filter(Boolean);
+
+        this.updateHeaderHeight();
+        this.setupEventListeners();
+
+        if (this.sections.length) {
+            this.updateScrollSpy();
+        } else {
+            this.setActive(route && route.nav);
+        }
+    }
+
+    setupEventListeners() {
+        // The header wraps on narrow screens and grows with the font size
+        if ('ResizeObserver' in window) {
+            new ResizeObserver(() => this.updateHeaderHeight()).observe(this.header);
+        } else {
+            window.addEventListener('resize', () => this.updateHeaderHeight());
+        }
+
+        // Delegated, so links rendered later (policy contents, app cards) are covered too
+        document.addEventListener('click', (e) => this.handleLinkClick(e));
+
+        if (this.sections.length) {
+            window.addEventListener('scroll', debounce(() => this.updateScrollSpy(), 50));
+        }
+    }
+
+    updateHeaderHeight() {
+        // Used by `scroll-padding-top`, so native anchor jumps stop below the header as well
+        this.headerHeight = this.header.offsetHeight;
+        document.documentElement.style.setProperty('--header-height', `${this.headerHeight}px`);
+    }
+
+    handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target === '_blank') {
+            return;
+        }
+
+        // Links to other pages (index.html#apps from about.html) are left to the browser
+        const url = new URL(link.href);
+        if (!this.isCurrentPage(url) || !url.hash || url.hash.startsWith('#/')) {
+            return;
+        }
+
+        const target = this.getTarget(url.hash);
+        if (!target) {
+            return;
+        }
+
+        e.preventDefault();
+
+        // Open the tab holding the target first, hidden panels have no position
+        revealTabFor(target);
+        this.scrollTo(target);
+
+        if (window.location.hash !== url.hash) {
+            window.history.replaceState(window.history.state, '', url.hash);
+        }
+    }
+
+    isCurrentPage(url) {
+        // /cs/ is /cs/index.html, and ?lang=cs doesn't make it another page
+        const normalizePath = pathname => pathname.replace(/\/index\.html$/, '/');
+        const normalizeSearch = search => {
+            const params = new URLSearchParams(search);
+            params.delete('lang');
+            params.sort();
+            return params.toString();
+        };
+
+        return url.origin === window.location.origin &&
+            normalizePath(url.pathname) === normalizePath(window.location.pathname) &&
+            normalizeSearch(url.search) === normalizeSearch(window.location.search);
+    }
+
+    getTarget(hash) {
+        try {
+            return document.getElementById(decodeURIComponent(hash.slice(1)));
+        } catch (error) {
+            return null; // Malformed hash such as "#%"
+        }
+    }
+
+    scrollTo(element) {
+        // The header offset comes from `scroll-padding-top`, see updateHeaderHeight()
+        element.scrollIntoView({
+            behavior: this.reducedMotion.matches ? 'auto' : 'smooth',
+            block: 'start'
+        });
+    }
+
+    updateScrollSpy() {
+        // The section in view is the last one that starts above a third of the visible area
+        const line = this.headerHeight + (window.innerHeight - this.headerHeight) / 3;
+        const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+
+        let current = this.sections[0];
+        this.sections.forEach(section => {
+            if (section.getBoundingClientRect().top <= line) {
+                current = section;
             }
-            
-            const targetElement = document.querySelector(targetId);
-            
-            if (targetElement) {
-                const headerHeight = document.querySelector('.header').offsetHeight;
-                const targetPosition = targetElement.offsetTop - headerHeight - 20;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            } else if (targetId === '#apps') {
-                // For Apps & Games, scroll to hero section (not the actual apps section at bottom)
-                const heroSection = document.querySelector('.hero');
-                if (heroSection) {
-                    const headerHeight = document.querySelector('.header').offsetHeight;
-                    const targetPosition = heroSection.offsetTop - headerHeight - 20;
-                    
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
-                } else {
-                    // Fallback to top if no hero section found
-                    window.scrollTo({
-                        top: 0,
-                        behavior: 'smooth'
-                    });
-                }
+        });
+
+        if (atBottom) {
+            current = this.sections[this.sections.length - 1];
+        }
+
+        this.setActive(this.route.sections[current.id], 'location');
+    }
+
+    setActive(nav, current = 'page') {
+        this.navLinks.forEach(link => {
+            const active = !!nav && link.getAttribute('data-nav') === nav;
+
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', current);
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
-    });
+    }
 }
 
 // Header Scroll Effect
@@ -163,10 +557,19 @@ const observer = new IntersectionObserver(function(entries) {
 }, observerOptions);
 
 // Observe elements for animation
-document.addEventListener('DOMContentLoaded', function() {
-    const animatedElements = document.querySelectorAll('.app-card, .tab-content');
-    animatedElements.forEach(el => {
-        observer.observe(el);
+siteCore.register('animations', {
+    mount() {
+        const animatedElements = document.querySelectorAll('.app-card, .tab-content');
+        animatedElements.forEach(el => {
+            observer.observe(el);
+        });
+    }
+});
+
+// Observe app cards rendered later by the app catalog
+siteCore.on('appCatalogRendered', function({ cards }) {
+    cards.forEach(card => {
+        observer.observe(card);
     });
 });
 
@@ -175,6 +578,15 @@ window.addEventListener('load', function() {
     document.body.classList.add('loaded');
 });
 
+// Offline support: pages, locales and policies are cached by sw.js
+window.addEventListener('load', function() {
+    if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+});
+
 // Performance optimization: Debounce scroll events
 function debounce(func, wait) {
     let timeout;
@@ -201,32 +613,3 @@ const debouncedScrollHandler = debounce(function() {
 }, 10);
 
 window.addEventListener('scroll', debouncedScrollHandler);
-
-// Active Navigation State
-function initializeActiveNavigation() {
-    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
-    const navLinks = document.querySelectorAll('.nav-link');
-    
-    // Remove active class from all nav links
-    navLinks.forEach(link => link.classList.remove('active'));
-    
-    // Set active class based on current page
-    navLinks.forEach(link => {
-        const href = link.getAttribute('href');
-        
-        // Handle different page types
-        if (currentPage === 'index.html' || currentPage === '' || currentPage === '/') {
-            if (href === 'index.html' || href === '#hero') {
-                link.classList.add('active');
-            }
-        } else if (currentPage === 'about.html' && href === 'about.html') {
-            link.classList.add('active');
-        } else if (currentPage === 'contact.html' && href === 'contact.html') {
-            link.classList.add('active');
-        } else if (currentPage === 'privacy.html' && href === 'privacy.html') {
-            link.classList.add('active');
-        } else if (currentPage === 'terms.html' && href === 'terms.html') {
-            link.classList.add('active');
-        }
-    });
-}
@@ -0,0 +1,155 @@
+/**
+ * Theme Manager - Light, dark or auto (follows the system setting), plus
+ * per-app accent palettes from assets/apps.json.
+ * Loaded synchronously in <head> like js/languages.js, so the inline
+ * anti-flash script and the theme button share one implementation.
+ */
+
+class ThemeManager {
+    constructor() {
+        // Order of the theme button cycle
+        this.preferences = ['light', 'dark', 'auto'];
+        this.storageKey = 'theme';
+
+        // Browser UI colour for each applied theme, matches --bg-primary in css/styles.css
+        this.themeColors = { light: '#f8f9fa', dark: '#0f0f0f' };
+
+        this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.preference = this.getSavedPreference();
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Auto follows the system setting while the page is open
+        this.mediaQuery.addEventListener('change', () => {
+            if (this.preference === 'auto') {
+                this.update();
+            }
+        });
+
+        // A choice made in another tab applies here too
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey) {
+                this.preference = this.getSavedPreference();
+                this.update();
+            }
+        });
+    }
+
+    getSavedPreference() {
+        // Nothing saved means auto, the system setting is never written to storage
+        const saved = localStorage.getItem(this.storageKey);
+        return this.preferences.includes(saved) ? saved : 'auto';
+    }
+
+    getTheme() {
+        // Theme actually shown: 'light' or 'dark'
+        if (this.preference === 'auto') {
+            return this.mediaQuery.matches ? 'dark' : 'light';
+        }
+        return this.preference;
+    }
+
+    setPreference(preference) {
+        if (!this.preferences.includes(preference)) return;
+
+        this.preference = preference;
+        if (preference === 'auto') {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, preference);
+        }
+
+        this.update();
+    }
+
+    cycle() {
+        // light -> dark -> auto -> light
+        const index = this.preferences.indexOf(this.preference);
+        this.setPreference(this.preferences[(index + 1) % this.preferences.length]);
+    }
+
+    apply() {
+        const theme = this.getTheme();
+        const html = document.documentElement;
+
+        // Apply theme to both html and body elements for consistency
+        if (theme === 'dark') {
+            html.setAttribute('data-theme', 'dark');
+            html.classList.add('dark-theme');
+        } else {
+            html.removeAttribute('data-theme');
+            html.classList.remove('dark-theme');
+        }
+
+        if (document.body) {
+            if (theme === 'dark') {
+                document.body.setAttribute('data-theme', 'dark');
+            } else {
+                document.body.removeAttribute('data-theme');
+            }
+        }
+
+        // Form controls, scrollbars and the mobile browser bar follow the theme
+        this.setMeta('color-scheme', theme);
+        this.setMeta('theme-color', this.themeColors[theme]);
+    }
+
+    update() {
+        this.apply();
+        window.dispatchEvent(new CustomEvent('themeChanged', {
+            detail: { preference: this.preference, theme: this.getTheme() }
+        }));
+    }
+
+    applyAccent(element, accent) {
+        // App palette on the element and everything inside it, or the site colours again
+        Array.from(element.style)
+            .filter(property => property.startsWith('--app-accent-'))
+            .forEach(property => element.style.removeProperty(property));
+
+        if (!accent) {
+            element.removeAttribute('data-accent');
+            return;
+        }
+
+        ThemeManager.getAccentProperties(accent).forEach(([property, value]) => {
+            element.style.setProperty(property, value);
+        });
+        element.setAttribute('data-accent', '');
+    }
+
+    static getAccentProperties(accent) {
+        // { light: { primary, secondary, onAccent }, dark: {...} } -> [['--app-accent-primary', '#5b3fc4'], ...]
+        // The [data-accent] rules in css/styles.css pick the set for the current theme
+        return ['light', 'dark'].flatMap(mode => Object.keys(accent[mode] || {}).map(name => [
+            `--app-accent-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}${mode === 'dark' ? '-dark' : ''}`,
+            accent[mode][name]
+        ]));
+    }
+
+    static getAccentStyle(accent) {
+        // Inline style attribute for markup rendered as a string (app cards, prerendered pages)
+        return ThemeManager.getAccentProperties(accent)
+            .map(([property, value]) => `${property}: ${value}`)
+            .join('; ');
+    }
+
+    setMeta(name, content) {
+        let meta = document.querySelector(`meta[name="${name}"]`);
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.name = name;
+            document.head.appendChild(meta);
+        }
+        meta.content = content;
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+} else {
+    window.themeManager = new ThemeManager();
+}
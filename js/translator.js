@@ -0,0 +1,127 @@
+/**
+ * Translator - Looks up and formats locale strings, and fills them into
+ * data-key elements through plain attribute and content setters, so the same
+ * code translates the page in the browser (LocalizationManager) and the
+ * static tree of scripts/prerender.js.
+ */
+
+class Translator {
+    constructor(registry) {
+        this.registry = registry;
+        this.translations = {};
+    }
+
+    resolve(key, lang) {
+        // Requested language first, then its fallback chain (e.g. cs -> en)
+        for (const fallbackLang of this.registry.getFallbackChain(lang)) {
+            const value = this.getNested(key, fallbackLang);
+            if (value !== null) {
+                return { value, lang: fallbackLang };
+            }
+        }
+
+        return null;
+    }
+
+    getNested(key, lang) {
+        const keys = key.split('.');
+        let translation = this.translations[lang];
+
+        for (const k of keys) {
+            // Empty strings are valid translations, only absent keys are missing
+            if (translation && typeof translation === 'object' && translation[k] !== undefined && translation[k] !== null) {
+                translation = translation[k];
+            } else {
+                return null;
+            }
+        }
+
+        return typeof translation === 'string' ? translation : null;
+    }
+
+    format(result, args, allowMarkup = true) {
+        // Rich strings: escape arguments, then keep only the allowed markup
+        if (allowMarkup && MessageFormat.hasMarkup(result.value)) {
+            const html = MessageFormat.format(result.value, args, result.lang, { escape: true });
+            return { html: true, value: MessageFormat.sanitize(html) };
+        }
+
+        return { html: false, value: MessageFormat.format(result.value, args, result.lang) };
+    }
+
+    translateElement(element, lang, args) {
+        // Text, sanitized rich text or an input placeholder. Missing keys resolve to null
+        // and leave the element as it is
+        const result = this.resolve(element.getAttribute('data-key'), lang);
+        if (!result) {
+            return null;
+        }
+
+        const isInput = Translator.isPlaceholder(element);
+        const text = this.format(result, args, !isInput);
+
+        if (isInput) {
+            element.setAttribute('placeholder', text.value);
+        } else if (text.html) {
+            element.innerHTML = text.value;
+        } else {
+            element.textContent = text.value;
+        }
+
+        return result;
+    }
+
+    translateAttribute(element, attribute, key, lang, args) {
+        // Attributes are always plain text
+        const result = this.resolve(key, lang);
+        if (result) {
+            element.setAttribute(attribute, this.format(result, args, false).value);
+        }
+
+        return result;
+    }
+
+    static isPlaceholder(element) {
+        // Inputs are translated through their placeholder, submit buttons through their label
+        return element.tagName === 'INPUT' && element.getAttribute('type') !== 'submit';
+    }
+
+    static getElementArgs(element, defaults = {}) {
+        // data-key-args='{"count": 3}' on the element itself
+        const rawArgs = element.getAttribute('data-key-args');
+        let args = {};
+
+        if (rawArgs) {
+            try {
+                args = JSON.parse(rawArgs);
+            } catch (error) {
+                console.error(`Invalid data-key-args on "${element.getAttribute('data-key')}":`, error);
+            }
+        }
+
+        return { ...defaults, ...args };
+    }
+
+    static parseAttributeKeys(spec) {
+        // "aria-label:theme.toggle; content:pages.index.description"
+        return (spec || '')
+            .split(';')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.indexOf(':');
+                return {
+                    attribute: pair.slice(0, separator).trim(),
+                    key: pair.slice(separator + 1).trim()
+                };
+            })
+            .filter(({ attribute, key }) => attribute && key);
+    }
+}
+
+// Export for use in other scripts and the Node build (scripts/prerender.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translator;
+} else {
+    window.Translator = Translator;
+}
@@ -0,0 +1,365 @@
+/**
+ * Check Consistency - Cross-checks the HTML pages, the locale files and the
+ * policy folders, the things nothing else verifies until a visitor sees a
+ * raw key or a "Loading..." that never ends:
+ *
+ * - every locale has the same keys, none of them empty
+ * - every data-key / data-key-attr in the pages exists in every locale
+ * - every locale key is used by a page, a script or assets/apps.json
+ * - every policy path (assets/apps.json, version indexes, data-policy-path*)
+ *   exists in every language, and no policy file is left unreferenced
+ * - translated policies have as many sections as the default language
+ * - links to our own pages point to files that exist, also when commented out
+ *
+ *   node scripts/check-consistency.js          # plain text report
+ *   node scripts/check-consistency.js --json   # machine-readable report
+ *
+ * Exits with 1 when it finds a problem.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.MessageFormat = require('../js/message-format.js');
+
+const languageRegistry = require('../js/languages.js');
+const Translator = require('../js/translator.js');
+const PolicyParser = require('../js/policy-parser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Scripts whose literals count as locale key usage and whose .html literals must exist
+const SCRIPT_DIRS = ['js'];
+const SCRIPT_FILES = ['sw.js'];
+
+const POLICY_DIR = 'assets/policies';
+
+// Problem types, in report order
+const CHECKS = {
+    'missing-key': 'Keys missing from a locale',
+    'empty-key': 'Keys with an empty string',
+    'orphaned-key': 'Keys no page or script uses',
+    'broken-policy-path': 'Policy paths that point nowhere',
+    'orphaned-policy': 'Policy files nothing links to',
+    'section-count': 'Translated policies with a different number of sections',
+    'broken-link': 'Links to pages that do not exist'
+};
+
+// "contact.form.email" - dotted identifiers, as used for every locale key
+const KEY_PATTERN = /\b[a-z][a-zA-Z0-9]*(?:\.[a-zA-Z0-9]+)+\b/g;
+
+// `contact.bugReport.stepTitles.${step}` - every key below the prefix counts as used
+const KEY_PREFIX_PATTERN = /\b([a-z][a-zA-Z0-9]*(?:\.[a-zA-Z0-9]+)*\.)\$\{/g;
+
+const HTML_COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+
+function readText(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readJson(file) {
+    return JSON.parse(readText(file));
+}
+
+function exists(file) {
+    return fs.existsSync(path.join(ROOT, file));
+}
+
+function listFiles(dir, extension) {
+    // Repository-relative paths, recursively
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            return listFiles(file, extension);
+        }
+        return entry.name.endsWith(extension) ? [file] : [];
+    });
+}
+
+function flattenKeys(object, prefix = '', keys = new Map()) {
+    // { footer: { rights: "..." } } -> Map { 'footer.rights' => '...' }
+    Object.entries(object).forEach(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value && typeof value === 'object') {
+            flattenKeys(value, key, keys);
+        } else {
+            keys.set(key, value);
+        }
+    });
+    return keys;
+}
+
+function getAttributeValues(html, attribute) {
+    const pattern = new RegExp(`\\s${attribute}="([^"]*)"`, 'g');
+    return Array.from(html.matchAll(pattern), match => match[1]);
+}
+
+class ConsistencyChecker {
+    constructor() {
+        this.problems = [];
+        this.pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).sort();
+        this.scripts = [...SCRIPT_DIRS.flatMap(dir => listFiles(dir, '.js')), ...SCRIPT_FILES];
+        this.manifest = readJson('assets/apps.json');
+
+        // { en: Map { key => value }, cs: ... }
+        this.locales = {};
+        languageRegistry.getAll().forEach(language => {
+            this.locales[language.code] = flattenKeys(readJson(language.localeFile));
+        });
+    }
+
+    report(check, file, message, details = {}) {
+        this.problems.push({ check, file, message, ...details });
+    }
+
+    run() {
+        this.checkLocaleKeys();
+        this.checkPageKeys();
+        this.checkOrphanedKeys();
+        this.checkPolicies();
+        this.checkLinks();
+        return this.problems;
+    }
+
+    checkLocaleKeys() {
+        // Every key of every locale must be in all the others and have some text
+        const allKeys = new Set(Object.values(this.locales).flatMap(keys => Array.from(keys.keys())));
+
+        languageRegistry.getAll().forEach(language => {
+            const keys = this.locales[language.code];
+
+            allKeys.forEach(key => {
+                if (!keys.has(key)) {
+                    const others = Object.keys(this.locales).filter(code => this.locales[code].has(key));
+                    this.report('missing-key', language.localeFile, `${key} (in ${others.join(', ')})`, { key, language: language.code });
+                } else if (typeof keys.get(key) !== 'string' || !keys.get(key).trim()) {
+                    this.report('empty-key', language.localeFile, key, { key, language: language.code });
+                }
+            });
+        });
+    }
+
+    getPageKeys(html) {
+        // Commented-out markup is not on the page
+        const markup = html.replace(HTML_COMMENT_PATTERN, '');
+        const attributeKeys = getAttributeValues(markup, 'data-key-attr')
+            .flatMap(spec => Translator.parseAttributeKeys(spec).map(({ key }) => key));
+
+        return new Set([...getAttributeValues(markup, 'data-key'), ...attributeKeys]);
+    }
+
+    getManifestKeys() {
+        // titleKey, categoryKey, ... anywhere in assets/apps.json
+        const keys = new Set();
+        const visit = value => {
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([name, child]) => {
+                    if (name.endsWith('Key') && typeof child === 'string') {
+                        keys.add(child);
+                    } else {
+                        visit(child);
+                    }
+                });
+            }
+        };
+
+        visit(this.manifest);
+        return keys;
+    }
+
+    checkPageKeys() {
+        // Pages and the manifest name their keys explicitly, so each one must exist everywhere
+        const usages = this.pages.map(page => ({ file: page, keys: this.getPageKeys(readText(page)) }));
+        usages.push({ file: 'assets/apps.json', keys: this.getManifestKeys() });
+
+        usages.forEach(({ file, keys }) => {
+            keys.forEach(key => {
+                const missingIn = Object.keys(this.locales).filter(code => !this.locales[code].has(key));
+
+                // Keys missing from only some locales are already reported by checkLocaleKeys()
+                if (missingIn.length === Object.keys(this.locales).length) {
+                    this.report('missing-key', file, `${key} (in no locale)`, { key });
+                }
+            });
+        });
+    }
+
+    checkOrphanedKeys() {
+        // Scripts build some keys (`apps.common.${doc}`), so any literal or prefix in them counts
+        const used = new Set([...this.getManifestKeys(), ...this.pages.flatMap(page => Array.from(this.getPageKeys(readText(page))))]);
+        const prefixes = [];
+
+        this.scripts.forEach(script => {
+            const source = readText(script);
+            (source.match(KEY_PATTERN) || []).forEach(key => used.add(key));
+            Array.from(source.matchAll(KEY_PREFIX_PATTERN), match => prefixes.push(match[1]));
+        });
+
+        const defaultLanguage = languageRegistry.get(languageRegistry.defaultLanguage);
+        this.locales[defaultLanguage.code].forEach((value, key) => {
+            if (!used.has(key) && !prefixes.some(prefix => key.startsWith(prefix))) {
+                this.report('orphaned-key', defaultLanguage.localeFile, key, { key });
+            }
+        });
+    }
+
+    getPolicyReferences() {
+        // [{ file, path, explicit: { cs: 'assets/...' } }] - default language paths and who names them
+        const references = [];
+
+        [this.manifest.studio, ...this.manifest.apps].forEach(owner => {
+            Object.values(owner.policies || {}).forEach(policy => {
+                references.push({ file: 'assets/apps.json', path: policy.path, explicit: {} });
+            });
+
+            if (!owner.policyIndex) {
+                return;
+            }
+            if (!exists(owner.policyIndex)) {
+                this.report('broken-policy-path', 'assets/apps.json', `${owner.id}: version index ${owner.policyIndex} does not exist`);
+                return;
+            }
+
+            Object.values(readJson(owner.policyIndex)).flat().forEach(entry => {
+                references.push({ file: owner.policyIndex, path: entry.path, explicit: {} });
+            });
+        });
+
+        // <div id="policy-content" data-policy-path="..." data-policy-path-cs="...">
+        this.pages.forEach(page => {
+            const markup = readText(page).replace(HTML_COMMENT_PATTERN, '');
+            Array.from(markup.matchAll(/<[^>]*\sdata-policy-path="([^"]*)"[^>]*>/g)).forEach(([tag, basePath]) => {
+                const explicit = {};
+                languageRegistry.getCodes().forEach(code => {
+                    const match = tag.match(new RegExp(`\\sdata-policy-path-${code}="([^"]*)"`));
+                    if (match) {
+                        explicit[code] = match[1];
+                    }
+                });
+                references.push({ file: page, path: basePath, explicit });
+            });
+        });
+
+        return references;
+    }
+
+    checkPolicies() {
+        const referenced = new Set();
+        const compared = new Set();
+
+        this.getPolicyReferences().forEach(({ file, path: basePath, explicit }) => {
+            // Every language has its own file (privacy.txt, privacy_cs.txt, ...)
+            const paths = {};
+            languageRegistry.getCodes().forEach(code => {
+                paths[code] = explicit[code] || languageRegistry.getPolicyPath(basePath, code);
+                referenced.add(paths[code]);
+
+                if (!exists(paths[code])) {
+                    this.report('broken-policy-path', file, `${paths[code]} (${code}) does not exist`, { path: paths[code], language: code });
+                }
+            });
+
+            if (!compared.has(basePath)) {
+                compared.add(basePath);
+                this.checkSectionCount(paths);
+            }
+        });
+
+        listFiles(POLICY_DIR, '.txt')
+            .filter(policyFile => !referenced.has(policyFile))
+            .forEach(policyFile => this.report('orphaned-policy', policyFile, 'not referenced by assets/apps.json, a version index or a page'));
+    }
+
+    countSections(policyFile) {
+        // "## Heading" sections, the entries of the table of contents
+        return PolicyParser.parse(readText(policyFile)).children
+            .filter(node => node.type === 'heading' && node.level === 2).length;
+    }
+
+    checkSectionCount(paths) {
+        const defaultPath = paths[languageRegistry.defaultLanguage];
+        if (!exists(defaultPath)) {
+            return;
+        }
+
+        const expected = this.countSections(defaultPath);
+        Object.entries(paths).forEach(([code, policyFile]) => {
+            if (code === languageRegistry.defaultLanguage || !exists(policyFile)) {
+                return;
+            }
+
+            const count = this.countSections(policyFile);
+            if (count !== expected) {
+                this.report('section-count', policyFile,
+                    `${count} section(s), ${defaultPath} has ${expected}`, { language: code, count, expected });
+            }
+        });
+    }
+
+    checkLinks() {
+        // Relative links to our pages: index.html#apps, policy.html?doc=terms, ...
+        this.pages.forEach(page => {
+            const html = readText(page);
+            const comments = (html.match(HTML_COMMENT_PATTERN) || []).join('\n');
+
+            const links = [
+                ...getAttributeValues(html.replace(HTML_COMMENT_PATTERN, ''), 'href').map(href => ({ href, commented: false })),
+                ...getAttributeValues(comments, 'href').map(href => ({ href, commented: true }))
+            ];
+
+            links.forEach(({ href, commented }) => {
+                const target = href.split(/[?#]/)[0];
+                if (/^[\w-]+\.html$/.test(target) && !exists(target)) {
+                    this.report('broken-link', page, `${href}${commented ? ' (in a comment)' : ''}`, { href });
+                }
+            });
+        });
+
+        // Page names in scripts, e.g. the precache list in sw.js
+        this.scripts.forEach(script => {
+            const source = readText(script);
+            Array.from(source.matchAll(/['"`]([\w-]+\.html)['"`]/g), match => match[1])
+                .filter(target => !exists(target))
+                .forEach(target => this.report('broken-link', script, target, { href: target }));
+        });
+    }
+}
+
+function printText(problems, checker) {
+    Object.entries(CHECKS).forEach(([check, title]) => {
+        const found = problems.filter(problem => problem.check === check);
+
+        if (!found.length) {
+            console.log(`✓ ${title}`);
+            return;
+        }
+
+        console.error(`✗ ${title} (${found.length})`);
+        found.forEach(problem => console.error(`    ${problem.file}: ${problem.message}`));
+    });
+
+    if (problems.length) {
+        console.error(`\n${problems.length} consistency problem(s)`);
+    } else {
+        console.log(`\n${checker.pages.length} pages, ${Object.keys(checker.locales).length} locales and the policies are consistent`);
+    }
+}
+
+function main() {
+    const checker = new ConsistencyChecker();
+    const problems = checker.run();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify({ ok: !problems.length, problems }, null, 2));
+    } else {
+        printText(problems, checker);
+    }
+
+    if (problems.length) {
+        process.exit(1);
+    }
+}
+
+main();
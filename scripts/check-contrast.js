@@ -0,0 +1,176 @@
+/**
+ * Check Contrast - Verifies every app accent palette in assets/apps.json
+ * against the page backgrounds in css/styles.css, and the palette's text
+ * colour on its own accent fills (WCAG 2.1 AA), for both the light and the
+ * dark theme. Exits with 1 when a colour fails, so the
+ * Pages workflow stops before a palette nobody can read goes live.
+ *
+ *   node scripts/check-contrast.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// How each palette colour is used (see the [data-accent] rules in css/styles.css)
+const COLOR_RULES = {
+    primary: { minRatio: 4.5, usage: 'links, headings and labels (normal text)' },
+    secondary: { minRatio: 3, usage: 'subheadings (large text)' }
+};
+
+// Text on accent fills (active tab, buttons): the palette's "onAccent", or the
+// white the [data-accent] rules in css/styles.css fall back to
+const ON_ACCENT_RULE = {
+    fallback: '#ffffff',
+    fills: ['primary', 'secondary'],
+    minRatio: 4.5,
+    usage: 'text on accent fills (tabs, buttons)'
+};
+
+// Surfaces accent text is drawn on: page, policy panel and app cards
+const BACKGROUND_VARIABLES = ['--bg-primary', '--bg-secondary', '--bg-tertiary'];
+
+// CSS block holding the variables of each theme
+const THEME_SELECTORS = {
+    light: ':root',
+    dark: '[data-theme="dark"]'
+};
+
+const HEX_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function readText(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readThemeBackgrounds(css) {
+    // { light: { '--bg-primary': '#f8f9fa', ... }, dark: {...} }
+    const backgrounds = {};
+
+    Object.entries(THEME_SELECTORS).forEach(([mode, selector]) => {
+        const start = css.indexOf(`${selector} {`);
+        if (start === -1) {
+            throw new Error(`No "${selector}" block in css/styles.css`);
+        }
+
+        const block = css.slice(start, css.indexOf('}', start));
+        backgrounds[mode] = {};
+
+        BACKGROUND_VARIABLES.forEach(variable => {
+            const match = block.match(new RegExp(`${variable}:\\s*([^;]+);`));
+            if (!match) {
+                throw new Error(`${variable} is not set in "${selector}"`);
+            }
+            backgrounds[mode][variable] = match[1].trim();
+        });
+    });
+
+    return backgrounds;
+}
+
+function parseHex(color) {
+    const hex = color.slice(1);
+    const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+
+    return [0, 2, 4].map(index => parseInt(full.slice(index, index + 2), 16));
+}
+
+function getLuminance(color) {
+    // Relative luminance, https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+    const [red, green, blue] = parseHex(color).map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+function getContrastRatio(first, second) {
+    const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+function checkPalette(app, backgrounds) {
+    const problems = [];
+
+    Object.keys(THEME_SELECTORS).forEach(mode => {
+        const palette = app.accent[mode];
+        if (!palette) {
+            problems.push(`${mode}: palette missing, every accent needs a light and a dark set`);
+            return;
+        }
+
+        Object.entries(COLOR_RULES).forEach(([name, rule]) => {
+            const color = palette[name];
+
+            if (!HEX_PATTERN.test(color || '')) {
+                problems.push(`${mode}.${name}: "${color}" is not a #rgb or #rrggbb colour`);
+                return;
+            }
+
+            Object.entries(backgrounds[mode]).forEach(([variable, background]) => {
+                const ratio = getContrastRatio(color, background);
+                if (ratio < rule.minRatio) {
+                    problems.push(`${mode}.${name} ${color} on ${variable} ${background}: ` +
+                        `${ratio.toFixed(2)}:1, needs ${rule.minRatio}:1 for ${rule.usage}`);
+                }
+            });
+        });
+
+        problems.push(...checkOnAccent(mode, palette));
+    });
+
+    return problems;
+}
+
+function checkOnAccent(mode, palette) {
+    const problems = [];
+    const text = palette.onAccent || ON_ACCENT_RULE.fallback;
+
+    if (!HEX_PATTERN.test(text)) {
+        return [`${mode}.onAccent: "${text}" is not a #rgb or #rrggbb colour`];
+    }
+
+    ON_ACCENT_RULE.fills.forEach(name => {
+        const fill = palette[name];
+        if (!HEX_PATTERN.test(fill || '')) {
+            return; // Reported by the colour rules already
+        }
+
+        const ratio = getContrastRatio(text, fill);
+        if (ratio < ON_ACCENT_RULE.minRatio) {
+            problems.push(`${mode}.onAccent ${text} on ${mode}.${name} ${fill}: ` +
+                `${ratio.toFixed(2)}:1, needs ${ON_ACCENT_RULE.minRatio}:1 for ${ON_ACCENT_RULE.usage}`);
+        }
+    });
+
+    return problems;
+}
+
+function main() {
+    const manifest = JSON.parse(readText('assets/apps.json'));
+    const backgrounds = readThemeBackgrounds(readText('css/styles.css'));
+    const apps = [manifest.studio, ...manifest.apps].filter(app => app.accent);
+    let failures = 0;
+
+    apps.forEach(app => {
+        const problems = checkPalette(app, backgrounds);
+
+        if (problems.length) {
+            failures += problems.length;
+            console.error(`✗ ${app.id}`);
+            problems.forEach(problem => console.error(`    ${problem}`));
+        } else {
+            console.log(`✓ ${app.id}`);
+        }
+    });
+
+    if (failures) {
+        console.error(`\n${failures} contrast problem(s) in assets/apps.json accent palettes`);
+        process.exit(1);
+    }
+
+    console.log(`\nAll ${apps.length} accent palettes meet WCAG AA contrast`);
+}
+
+main();
@@ -0,0 +1,243 @@
+/**
+ * Static DOM - A small HTML tree for the build scripts. It only knows what
+ * our own pages need (find elements, change attributes, replace content)
+ * and writes untouched markup back exactly as it was read.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+class StaticElement {
+    constructor(name, attributes, rawStartTag) {
+        this.type = 'element';
+        this.name = name;
+        this.attributes = attributes;
+        this.rawStartTag = rawStartTag;
+        this.children = [];
+        this.parent = null;
+        this.selfClosing = false;
+    }
+
+    get tagName() {
+        return this.name.toUpperCase();
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(([key]) => key === name);
+        return attribute ? decodeEntities(attribute[1] === null ? '' : attribute[1]) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.some(([key]) => key === name);
+    }
+
+    setAttribute(name, value) {
+        const encoded = escapeAttribute(String(value));
+        const attribute = this.attributes.find(([key]) => key === name);
+
+        if (attribute) {
+            attribute[1] = encoded;
+        } else {
+            this.attributes.push([name, encoded]);
+        }
+        this.rawStartTag = null;
+    }
+
+    removeAttribute(name) {
+        const count = this.attributes.length;
+        this.attributes = this.attributes.filter(([key]) => key !== name);
+
+        if (this.attributes.length !== count) {
+            this.rawStartTag = null;
+        }
+    }
+
+    set innerHTML(html) {
+        // Parsed, so generated markup (app cards, policy text) can be translated too
+        this.children = parseHtml(html).children;
+        this.children.forEach(child => {
+            child.parent = this;
+        });
+    }
+
+    set textContent(text) {
+        this.children = [{ type: 'raw', raw: escapeText(String(text)), parent: this }];
+    }
+
+    get textContent() {
+        return this.children.map(child => child.type === 'element'
+            ? child.textContent
+            : decodeEntities(child.raw.replace(/<[^>]*>/g, ''))).join('');
+    }
+
+    insertAdjacentHTML(position, html) {
+        // Only the positions the build needs
+        const node = { type: 'raw', raw: html, parent: this };
+
+        if (position === 'afterbegin') {
+            this.children.unshift(node);
+        } else if (position === 'beforeend') {
+            this.children.push(node);
+        } else if (position === 'afterend' && this.parent) {
+            const siblings = this.parent.children;
+            node.parent = this.parent;
+            siblings.splice(siblings.indexOf(this) + 1, 0, node);
+        } else {
+            throw new Error(`Unsupported position: ${position}`);
+        }
+    }
+
+    findAll(predicate, results = []) {
+        this.children.forEach(child => {
+            if (child.type === 'element') {
+                if (predicate(child)) {
+                    results.push(child);
+                }
+                child.findAll(predicate, results);
+            }
+        });
+
+        return results;
+    }
+
+    find(predicate) {
+        return this.findAll(predicate)[0] || null;
+    }
+
+    getElementById(id) {
+        return this.find(element => element.getAttribute('id') === id);
+    }
+
+    toString() {
+        const startTag = this.rawStartTag || `<${this.name}${this.attributes.map(([key, value]) =>
+            value === null ? ` ${key}` : ` ${key}="${value}"`).join('')}${this.selfClosing ? ' /' : ''}>`;
+
+        if (VOID_ELEMENTS.has(this.name) || this.selfClosing) {
+            return startTag;
+        }
+
+        return `${startTag}${this.children.map(child => child.type === 'element' ? child.toString() : child.raw).join('')}</${this.name}>`;
+    }
+}
+
+class StaticDocument extends StaticElement {
+    constructor() {
+        super('#document', [], '');
+    }
+
+    get documentElement() {
+        return this.find(element => element.name === 'html');
+    }
+
+    get head() {
+        return this.find(element => element.name === 'head');
+    }
+
+    toString() {
+        return this.children.map(child => child.type === 'element' ? child.toString() : child.raw).join('');
+    }
+}
+
+function parseHtml(html) {
+    const document = new StaticDocument();
+    const stack = [document];
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const appendRaw = raw => {
+        if (raw) {
+            current().children.push({ type: 'raw', raw, parent: current() });
+        }
+    };
+
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+        appendRaw(html.slice(lastIndex, match.index));
+        lastIndex = TOKEN_PATTERN.lastIndex;
+
+        const [token, closingName, openingName, attributeText, selfClosing] = match;
+
+        if (closingName) {
+            // Close the nearest matching element, stray end tags are kept as text
+            const name = closingName.toLowerCase();
+            const index = stack.map(element => element.name).lastIndexOf(name);
+
+            if (index > 0) {
+                stack.length = index;
+            } else {
+                appendRaw(token);
+            }
+            continue;
+        }
+
+        if (!openingName) {
+            appendRaw(token); // Comment or doctype
+            continue;
+        }
+
+        const name = openingName.toLowerCase();
+        const element = new StaticElement(name, parseAttributes(attributeText), token);
+        element.selfClosing = !!selfClosing;
+        element.parent = current();
+        current().children.push(element);
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            // <script>/<style> bodies are copied verbatim
+            const endIndex = html.toLowerCase().indexOf(`</${name}`, lastIndex);
+            const end = endIndex === -1 ? html.length : endIndex;
+            element.children.push({ type: 'raw', raw: html.slice(lastIndex, end), parent: element });
+
+            const closeEnd = html.indexOf('>', end);
+            lastIndex = closeEnd === -1 ? html.length : closeEnd + 1;
+            TOKEN_PATTERN.lastIndex = lastIndex;
+            continue;
+        }
+
+        if (!VOID_ELEMENTS.has(name) && !selfClosing) {
+            stack.push(element);
+        }
+    }
+
+    appendRaw(html.slice(lastIndex));
+    return document;
+}
+
+function parseAttributes(text) {
+    const attributes = [];
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(text)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push([match[1].toLowerCase(), value === undefined ? null : escapeAttribute(decodeEntities(value))]);
+    }
+
+    return attributes;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeText(text).replace(/"/g, '&quot;');
+}
+
+module.exports = { parseHtml, StaticElement };
@@ -0,0 +1,139 @@
+/**
+ * Mock Contact Server - Local stand-in for the contact form endpoint, to try
+ * the endpoint adapter of js/contact-form.js without a real backend. Prints
+ * every message it receives; nothing is stored or sent anywhere.
+ *
+ *   node scripts/mock-contact-server.js                # http://localhost:8787/api/contact
+ *   node scripts/mock-contact-server.js --port 9000
+ *   node scripts/mock-contact-server.js --fail         # answer 500 to test the error state
+ *
+ * Then open the site from a local server with
+ * contact.html?contact-endpoint=http://localhost:8787/api/contact
+ */
+
+const http = require('http');
+
+const ENDPOINT_PATH = '/api/contact';
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Same rules as the form, so the mock rejects what a real backend would
+const CATEGORIES = ['general', 'bug', 'feature', 'privacy'];
+
+function parseArgs(argv) {
+    const portIndex = argv.indexOf('--port');
+    return {
+        port: portIndex !== -1 ? Number(argv[portIndex + 1]) : 8787,
+        fail: argv.includes('--fail')
+    };
+}
+
+function validateMessage(message) {
+    const errors = [];
+
+    if (!message || typeof message !== 'object') {
+        return ['body must be a JSON object'];
+    }
+
+    if (!CATEGORIES.includes(message.category)) {
+        errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+
+    if (typeof message.message !== 'string' || !message.message.trim()) {
+        errors.push('message is required');
+    }
+
+    if (message.category === 'bug' && (!message.app || !message.platform)) {
+        errors.push('bug reports need app and platform');
+    }
+
+    return errors;
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+async function handleRequest(request, response, options) {
+    // The site is served from another port, so allow any origin
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (pathname !== ENDPOINT_PATH) {
+        sendJson(response, 404, { error: `POST messages to ${ENDPOINT_PATH}` });
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'Only POST is supported' });
+        return;
+    }
+
+    let message;
+    try {
+        message = JSON.parse(await readBody(request));
+    } catch (error) {
+        sendJson(response, 400, { error: `Invalid request body: ${error.message}` });
+        return;
+    }
+
+    const errors = validateMessage(message);
+    if (errors.length) {
+        console.warn('Rejected message:', errors.join('; '));
+        sendJson(response, 400, { error: errors.join('; ') });
+        return;
+    }
+
+    if (options.fail) {
+        console.warn('Received message, answering 500 (--fail)');
+        sendJson(response, 500, { error: 'Simulated failure' });
+        return;
+    }
+
+    const id = `msg-${Date.now()}`;
+    console.log(`\n${id}`, JSON.stringify(message, null, 2));
+    sendJson(response, 201, { id, receivedAt: new Date().toISOString() });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, options).catch(error => {
+            console.error('Error handling request:', error);
+            sendJson(response, 500, { error: 'Internal error' });
+        });
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Mock contact endpoint on http://localhost:${options.port}${ENDPOINT_PATH}` +
+            (options.fail ? ' (failing every message)' : ''));
+    });
+}
+
+main();
@@ -0,0 +1,408 @@
+/**
+ * Prerender - Builds the deployable site into dist/ with every page
+ * translated into every registered language (dist/en/, dist/cs/) and every
+ * policy rendered to static HTML. Crawlers, app-store reviewers and visitors
+ * without JavaScript get the final content; the browser scripts only
+ * enhance these pages.
+ *
+ * Translation, the policy list and the policy header and body use the same
+ * modules as the browser (js/translator.js, js/app-catalog.js,
+ * js/policy-renderer.js, ...) on a static tree (scripts/lib/static-dom.js).
+ *
+ *   node scripts/prerender.js              # writes dist/
+ *   node scripts/prerender.js --out public
+ *
+ * The output folder is deleted first, so it has to be a build folder inside
+ * the repository (not the repository, a parent of it or a source folder).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The browser scripts share globals, expose their Node exports the same way
+global.MessageFormat = require('../js/message-format.js');
+global.PolicyParser = require('../js/policy-parser.js');
+global.PolicyDiff = require('../js/policy-diff.js');
+global.ThemeManager = require('../js/theme.js');
+
+const languageRegistry = require('../js/languages.js');
+const Translator = require('../js/translator.js');
+const PolicyRenderer = require('../js/policy-renderer.js');
+const AppCatalog = require('../js/app-catalog.js');
+const RoadmapBoard = require('../js/roadmap.js');
+const { parseHtml } = require('./lib/static-dom.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Pages that are only translated (policy.html also lists the documents, see renderPolicyIndex())
+const PAGES = ['index.html', 'about.html', 'contact.html', 'roadmap.html', 'policy.html', '404.html'];
+
+// Template for every policy route (privacy.html, clickoji-terms.html, ...)
+const POLICY_TEMPLATE = 'policy.html';
+
+// Copied to the output unchanged, except for the precache list in sw.js
+const STATIC_FILES = ['css', 'js', 'assets', 'favicon.ico', 'CNAME', 'app-ads.txt', 'sw.js'];
+
+// Filled in with the prerendered pages and the cache version in the deployed sw.js,
+// see writeServiceWorker()
+const SW_PRERENDERED_URLS = 'const PRERENDERED_URLS = [];';
+const SW_CACHE_VERSION = "const CACHE_VERSION = 'dev';";
+const SW_PRECACHE_URLS = /const PRECACHE_URLS = \[([\s\S]*?)\];/;
+
+const SITE_URL = `https://${readText('CNAME').trim()}`;
+
+function readText(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readJson(file) {
+    return JSON.parse(readText(file));
+}
+
+function parseArgs(argv) {
+    const outIndex = argv.indexOf('--out');
+    return { outDir: path.resolve(ROOT, outIndex !== -1 ? argv[outIndex + 1] || '' : 'dist') };
+}
+
+function checkOutDir(outDir) {
+    // The output folder is deleted before every build: only a new folder inside the
+    // repository will do, never the repository itself, a parent of it or its sources
+    const relative = path.relative(ROOT, outDir);
+    const [topLevel] = relative.split(path.sep);
+
+    if (!relative || topLevel === '..' || path.isAbsolute(relative)) {
+        return `--out must be a folder inside the repository, got "${outDir}"`;
+    }
+    if (topLevel.startsWith('.') || [...STATIC_FILES, 'scripts', 'tests'].includes(topLevel) ||
+        (fs.existsSync(outDir) && !fs.statSync(outDir).isDirectory())) {
+        return `--out "${relative}" would delete source files, pick a build folder such as dist`;
+    }
+
+    return null;
+}
+
+function loadTranslator() {
+    const translator = new Translator(languageRegistry);
+
+    languageRegistry.getAll().forEach(language => {
+        translator.translations[language.code] = readJson(language.localeFile);
+    });
+
+    return translator;
+}
+
+function getPolicyRoutes(catalog) {
+    // Every document gets its own file. policy.html serves any ?app=&doc= route, so it is
+    // only prerendered as a neutral shell - any document in it would be wrong for most URLs
+    return catalog.listPolicies().map(({ owner, doc }) => ({
+        file: owner.id === 'studio' ? `${doc}.html` : `${owner.id}-${doc}.html`,
+        app: owner.id,
+        doc
+    }));
+}
+
+function getPageUrl(file, lang) {
+    const page = file === 'index.html' ? '' : file;
+    return `${SITE_URL}/${lang ? `${lang}/` : ''}${page}`;
+}
+
+class PageBuilder {
+    constructor(manifest, roadmap, translator) {
+        this.manifest = manifest;
+        this.roadmap = roadmap;
+        this.translator = translator;
+
+        // Same manifest lookups as the browser: cards, policy list and policy routes
+        this.catalog = new AppCatalog();
+        this.catalog.manifest = manifest;
+        this.routes = getPolicyRoutes(this.catalog);
+        this.defaultArgs = { year: new Date().getFullYear() };
+    }
+
+    build(template, file, lang, prefixed, route) {
+        const document = parseHtml(readText(template));
+        const prefix = prefixed ? `${lang}/` : '';
+
+        const html = document.documentElement;
+        html.setAttribute('lang', lang);
+        html.setAttribute('data-prerendered', lang);
+
+        if (prefixed) {
+            // Assets and fetches resolve from the site root, page links are rewritten below
+            const charset = document.head.find(element => element.name === 'meta' && element.hasAttribute('charset'));
+            charset.insertAdjacentHTML('afterend', '\n    <base href="../">');
+        }
+
+        if (file === 'index.html') {
+            this.renderAppCatalog(document);
+        }
+
+        if (file === 'roadmap.html') {
+            this.renderRoadmap(document, lang);
+        }
+
+        if (route) {
+            this.renderPolicy(document, route, lang, prefix);
+        } else if (file === POLICY_TEMPLATE) {
+            this.renderPolicyIndex(document);
+        }
+
+        this.translate(document, lang);
+        this.rewriteLinks(document, file, prefix);
+        this.addAlternateLinks(document, file, prefixed ? lang : null);
+
+        return document.toString();
+    }
+
+    renderAppCatalog(document) {
+        // Same cards as AppCatalog.render() in the browser
+        const grid = document.find(element => element.hasAttribute('data-apps-manifest'));
+        if (!grid) {
+            return;
+        }
+
+        grid.innerHTML = this.manifest.apps.map(app => this.catalog.renderCard(app)).join('\n');
+
+        const appCount = document.find(element => (element.getAttribute('class') || '').split(' ').includes('apps-count'));
+        if (appCount) {
+            const liveApps = this.manifest.apps.filter(app => app.status === 'live').length;
+            appCount.setAttribute('data-key-args', JSON.stringify({ count: liveApps }));
+            appCount.removeAttribute('hidden');
+        }
+    }
+
+    renderRoadmap(document, lang) {
+        // Same board as RoadmapBoard.render() in the browser, unfiltered
+        const board = new RoadmapBoard(languageRegistry);
+        board.setData(this.manifest, this.roadmap);
+
+        document.getElementById('roadmap-app').innerHTML = board.renderAppOptions();
+        document.getElementById('roadmap-board').innerHTML = `${board.renderBoard(lang)}\n`;
+    }
+
+    getHeaderElements(document) {
+        // The elements PolicyLoader.getHeaderElements() finds in the browser
+        return {
+            title: document.getElementById('policy-title'),
+            subtitle: document.getElementById('policy-subtitle'),
+            icon: document.getElementById('policy-icon'),
+            pageTitle: document.find(element => element.name === 'title'),
+            descriptions: document.findAll(element => element.name === 'meta' &&
+                (element.getAttribute('name') === 'description' || element.getAttribute('property') === 'og:description')),
+            ogTitle: document.find(element => element.name === 'meta' && element.getAttribute('property') === 'og:title')
+        };
+    }
+
+    renderPolicy(document, route, lang, prefix) {
+        const { owner, policy } = this.catalog.findPolicy(route.app, route.doc);
+
+        PolicyRenderer.applyHeader(this.getHeaderElements(document), owner, policy);
+
+        if (owner.accent) {
+            const body = document.find(element => element.name === 'body');
+            body.setAttribute('data-accent', '');
+            body.setAttribute('style', ThemeManager.getAccentStyle(owner.accent));
+        }
+
+        // Document text in the page language, falling back like PolicyLoader.fetchPolicyText()
+        const textLang = languageRegistry.getFallbackChain(lang)
+            .find(code => fs.existsSync(path.join(ROOT, languageRegistry.getPolicyPath(policy.path, code))));
+        const documentTree = PolicyParser.parse(readText(languageRegistry.getPolicyPath(policy.path, textLang)));
+
+        const container = document.getElementById('policy-content');
+        container.innerHTML = `\n${PolicyRenderer.formatPolicyContent(documentTree)}\n`;
+        container.setAttribute('data-policy-route', `${route.app}/${route.doc}`);
+        container.setAttribute('data-prerendered', textLang);
+
+        const headings = documentTree.children.filter(block => block.type === 'heading');
+        const tocEntries = PolicyRenderer.renderTableOfContents(headings, id => `${prefix}${route.file}#${id}`);
+        if (tocEntries) {
+            document.find(element => element.getAttribute('class') === 'policy-toc-list').innerHTML = tocEntries;
+            document.getElementById('policy-toc').removeAttribute('hidden');
+        }
+
+        // Effective date of the current version
+        const versions = owner.policyIndex ? readJson(owner.policyIndex)[route.doc] || [] : [];
+        if (versions.length) {
+            const label = PolicyRenderer.getEffectiveLabel(versions[0], lang);
+            const badge = document.getElementById('policy-effective');
+            badge.setAttribute('data-key', label.key);
+            badge.setAttribute('data-key-args', JSON.stringify(label.args));
+            document.getElementById('policy-meta').removeAttribute('hidden');
+        }
+    }
+
+    renderPolicyIndex(document) {
+        // Without JavaScript the shell links every document; rewriteLinks() points them at their own files
+        const links = this.routes.map(route => {
+            const { owner } = this.catalog.findPolicy(route.app, route.doc);
+            return `
+                <li><a href="policy.html?app=${route.app}&amp;doc=${route.doc}" class="text-link">${MessageFormat.escapeHtml(owner.name)} · ` +
+                `<span data-key="apps.common.${route.doc}">${MessageFormat.escapeHtml(route.doc)}</span></a></li>`;
+        });
+
+        document.getElementById('policy-content').innerHTML = `\n<ul class="policy-index">${links.join('')}\n</ul>\n`;
+    }
+
+    translate(document, lang) {
+        // Same steps as LocalizationManager.updateTranslations(); missing keys keep the HTML text
+        document.findAll(element => element.hasAttribute('data-key')).forEach(element => {
+            this.translator.translateElement(element, lang, Translator.getElementArgs(element, this.defaultArgs));
+        });
+
+        document.findAll(element => element.hasAttribute('data-key-attr')).forEach(element => {
+            const args = Translator.getElementArgs(element, this.defaultArgs);
+            Translator.parseAttributeKeys(element.getAttribute('data-key-attr')).forEach(({ attribute, key }) => {
+                this.translator.translateAttribute(element, attribute, key, lang, args);
+            });
+        });
+    }
+
+    rewriteLinks(document, file, prefix) {
+        document.findAll(element => element.name === 'a' && element.hasAttribute('href')).forEach(link => {
+            const href = link.getAttribute('href');
+
+            if (href.startsWith('#')) {
+                // In-page anchors would otherwise resolve against <base>
+                if (prefix) {
+                    link.setAttribute('href', `${prefix}${file}${href}`);
+                }
+                return;
+            }
+
+            if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(href) || !/^[\w-]+\.html/.test(href)) {
+                return; // External, absolute or not a page
+            }
+
+            // policy.html?app=clickoji&doc=terms -> clickoji-terms.html, readable without JavaScript
+            const [pagePart, hash = ''] = href.split('#');
+            const [page, query = ''] = pagePart.split('?');
+            let target = pagePart;
+
+            if (page === POLICY_TEMPLATE) {
+                const params = new URLSearchParams(query);
+                const app = params.get('app') || 'studio';
+                const doc = params.get('doc') || 'privacy';
+                const route = this.routes.find(candidate => candidate.app === app && candidate.doc === doc);
+                target = route ? route.file : pagePart;
+            }
+
+            link.setAttribute('href', `${prefix}${target}${hash ? `#${hash}` : ''}`);
+        });
+    }
+
+    addAlternateLinks(document, file, lang) {
+        // One canonical URL per language plus hreflang alternates for search engines
+        document.findAll(element => element.name === 'link' && element.getAttribute('rel') === 'canonical')
+            .forEach(link => link.removeAttribute('rel'));
+
+        const links = [
+            `<link rel="canonical" href="${getPageUrl(file, lang)}">`,
+            ...languageRegistry.getCodes().map(code =>
+                `<link rel="alternate" hreflang="${code}" href="${getPageUrl(file, code)}">`),
+            `<link rel="alternate" hreflang="x-default" href="${getPageUrl(file, null)}">`
+        ];
+
+        document.head.insertAdjacentHTML('beforeend', links.map(link => `    ${link}\n`).join(''));
+    }
+}
+
+function writeFile(outDir, file, content) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+function writeServiceWorker(outDir, builtPages) {
+    // sw.js precaches the files of the repository; pages that only exist in the build
+    // (terms.html, en/, cs/) are added to the deployed copy so they work offline too, and the
+    // cache version is derived from what it precaches
+    const urls = builtPages
+        .filter(file => !fs.existsSync(path.join(ROOT, file)))
+        .flatMap(file => file.endsWith('/index.html') ? [file.slice(0, -'index.html'.length), file] : [file]);
+
+    const target = path.join(outDir, 'sw.js');
+    const source = fs.readFileSync(target, 'utf8');
+    [SW_PRERENDERED_URLS, SW_CACHE_VERSION].forEach(placeholder => {
+        if (!source.includes(placeholder)) {
+            throw new Error(`sw.js has no "${placeholder}" to fill in`);
+        }
+    });
+
+    const precache = source.match(SW_PRECACHE_URLS);
+    if (!precache) {
+        throw new Error('sw.js has no PRECACHE_URLS list');
+    }
+
+    const precacheUrls = [...precache[1].matchAll(/'([^']*)'/g)].map(match => match[1]);
+    const version = getCacheVersion(outDir, [...precacheUrls, ...urls]);
+
+    fs.writeFileSync(target, source
+        .replace(SW_CACHE_VERSION, `const CACHE_VERSION = '${version}';`)
+        .replace(SW_PRERENDERED_URLS,
+            `const PRERENDERED_URLS = [\n${urls.map(url => `    '${url}'`).join(',\n')}\n];`));
+}
+
+function getCacheVersion(outDir, urls) {
+    // Hash of every precached file as deployed: a build that changes any of them gets a new
+    // cache, a build that changes nothing keeps the visitors' cache
+    const hash = crypto.createHash('sha256');
+
+    urls.forEach(url => {
+        // './' and 'en/' are the index.html of their folder
+        const file = url.replace(/^\.\//, '').replace(/(^|\/)$/, '$1index.html');
+        const filePath = path.join(outDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`sw.js precaches ${url}, which is not in the build`);
+        }
+
+        hash.update(`${url}\0`);
+        hash.update(fs.readFileSync(filePath));
+    });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+function main() {
+    const { outDir } = parseArgs(process.argv.slice(2));
+    const outDirError = checkOutDir(outDir);
+    if (outDirError) {
+        console.error(outDirError);
+        process.exit(1);
+    }
+
+    const manifest = readJson('assets/apps.json');
+    const builder = new PageBuilder(manifest, readJson('assets/roadmap.json'), loadTranslator());
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    STATIC_FILES.forEach(file => {
+        fs.cpSync(path.join(ROOT, file), path.join(outDir, file), { recursive: true });
+    });
+
+    const pages = [
+        ...PAGES.map(file => ({ template: file, file, route: null })),
+        ...builder.routes.map(route => ({ template: POLICY_TEMPLATE, file: route.file, route }))
+    ];
+    const builtPages = [];
+    let count = 0;
+
+    pages.forEach(({ template, file, route }) => {
+        // Root pages are the default language (x-default), every language gets its own folder
+        writeFile(outDir, file, builder.build(template, file, languageRegistry.defaultLanguage, false, route));
+        builtPages.push(file);
+        count++;
+
+        languageRegistry.getCodes().forEach(lang => {
+            writeFile(outDir, path.join(lang, file), builder.build(template, file, lang, true, route));
+            builtPages.push(`${lang}/${file}`);
+            count++;
+        });
+    });
+
+    writeServiceWorker(outDir, builtPages);
+
+    console.log(`Prerendered ${count} pages into ${path.relative(ROOT, outDir) || '.'}/`);
+}
+
+main();
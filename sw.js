@@ -0,0 +1,204 @@
+/**
+ * Service Worker - Keeps the site and every policy document available
+ * offline. The in-app "Privacy Policy" / "Terms" buttons open these pages,
+ * often on flaky mobile connections.
+ *
+ * The deployed copy (dist/sw.js) gets a CACHE_VERSION hashed from every
+ * precached file by scripts/prerender.js, so any change to them drops the
+ * old caches on the next visit.
+ */
+
+// 'dev' only when the sources are served directly, see writeServiceWorker() in scripts/prerender.js
+const CACHE_VERSION = 'dev';
+const CACHE_NAME = `indietap-${CACHE_VERSION}`;
+
+// Header stamped on cached responses so pages can tell visitors how old they are
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+const PRECACHE_URLS = [
+    // Page shells
+    './',
+    'index.html',
+    'about.html',
+    'contact.html',
+    'roadmap.html',
+    'policy.html',
+    '404.html',
+    'privacy.html',
+    'clickoji-privacy.html',
+    'clickoji-terms.html',
+    'couplefy-privacy.html',
+    'pushitidareyou-privacy.html',
+    'pushitidareyou-terms.html',
+
+    // Styles and scripts
+    'css/styles.css',
+    'js/languages.js',
+    'js/theme.js',
+    'js/message-format.js',
+    'js/translator.js',
+    'js/core.js',
+    'js/localization.js',
+    'js/script.js',
+    'js/app-catalog.js',
+    'js/contact-form.js',
+    'js/bug-report.js',
+    'js/roadmap.js',
+    'js/policy-parser.js',
+    'js/policy-diff.js',
+    'js/policy-renderer.js',
+    'js/policy-loader.js',
+    'js/policy-search.js',
+
+    // Data
+    'assets/apps.json',
+    'assets/roadmap.json',
+    'assets/locales/en.json',
+    'assets/locales/cs.json',
+    'assets/icons/clickoji_icon.png',
+    'assets/icons/couplefy_icon.png',
+    'assets/icons/push_it_i_dare_you_icon.png',
+    'favicon.ico',
+
+    // Policies in every language, plus their version indexes
+    'assets/policies/index.json',
+    'assets/policies/privacy.txt',
+    'assets/policies/privacy_cs.txt',
+    'assets/policies/terms.txt',
+    'assets/policies/terms_cs.txt',
+    'assets/policies/couplefy/index.json',
+    'assets/policies/couplefy/couplefy_privacy.txt',
+    'assets/policies/couplefy/couplefy_privacy_cs.txt',
+    'assets/policies/clickoji/index.json',
+    'assets/policies/clickoji/clickoji_privacy.txt',
+    'assets/policies/clickoji/clickoji_privacy_cs.txt',
+    'assets/policies/clickoji/clickoji_terms.txt',
+    'assets/policies/clickoji/clickoji_terms_cs.txt',
+    'assets/policies/pushitidareyou/index.json',
+    'assets/policies/pushitidareyou/pushitidareyou_privacy.txt',
+    'assets/policies/pushitidareyou/pushitidareyou_privacy_cs.txt',
+    'assets/policies/pushitidareyou/pushitidareyou_terms.txt',
+    'assets/policies/pushitidareyou/pushitidareyou_terms_cs.txt'
+];
+
+// Pages that only exist in the build: terms.html and the language folders (en/, cs/).
+// scripts/prerender.js fills this in in the deployed copy of this file
+const PRERENDERED_URLS = [];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all([...PRECACHE_URLS, ...PRERENDERED_URLS].map(url =>
+                fetch(url, { cache: 'reload' }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Precache failed for ${url}: ${response.status}`);
+                    }
+                    return cache.put(url, stampResponse(response));
+                })
+            )))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('indietap-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Fonts and store links are left to the browser
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith(new URL('assets/', self.registration.scope).pathname)) {
+        // Policies, locales and the manifest: fresh when possible, cached when offline
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+async function handleNavigation(request) {
+    try {
+        return await networkFirst(request, { ignoreSearch: true });
+    } catch (error) {
+        // Unknown page while offline
+        const fallback = await caches.match(getNotFoundUrl(request));
+        if (fallback) {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+function getNotFoundUrl(request) {
+    // /cs/missing.html gets cs/404.html, whose <base href="../"> keeps styles and scripts working;
+    // the root 404.html would resolve them under /cs/. Both resolve against the scope, not the request
+    const scope = new URL(self.registration.scope);
+    const [folder] = new URL(request.url).pathname.slice(scope.pathname.length).split('/');
+    const localized = `${folder}/404.html`;
+
+    return new URL(PRERENDERED_URLS.includes(localized) ? localized : '404.html', scope).href;
+}
+
+async function networkFirst(request, matchOptions = {}) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, stampResponse(response.clone()));
+        }
+        return response;
+    } catch (error) {
+        // policy.html?app=clickoji&doc=terms is served from the cached policy.html
+        const cached = await cache.match(request, matchOptions);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, stampResponse(response.clone())).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Refresh in the background, the next visit gets the new file
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
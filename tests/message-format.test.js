@@ -0,0 +1,52 @@
+/**
+ * MessageFormat tests - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageFormat = require('../js/message-format.js');
+
+test('keeps http(s), mailto and relative links', () => {
+    assert.strictEqual(
+        MessageFormat.sanitize('<a href="https://indietapstudio.eu">site</a>'),
+        '<a href="https://indietapstudio.eu" class="text-link" target="_blank" rel="noopener noreferrer">site</a>'
+    );
+    assert.strictEqual(
+        MessageFormat.sanitize('<a href="policy.html?doc=terms">terms</a>'),
+        '<a href="policy.html?doc=terms" class="text-link">terms</a>'
+    );
+    assert.ok(MessageFormat.isSafeUrl('mailto:info@indietapstudio.eu'));
+});
+
+test('drops javascript: and protocol-relative links', () => {
+    assert.strictEqual(MessageFormat.sanitize('<a href="javascript:alert(1)">x</a>'), '<a class="text-link">x</a>');
+    assert.strictEqual(MessageFormat.sanitize('<a href="//evil.example">x</a>'), '<a class="text-link">x</a>');
+});
+
+test('drops javascript: links split by a tab or a newline', () => {
+    assert.strictEqual(MessageFormat.sanitize('<a href="java\tscript:alert(1)">x</a>'), '<a class="text-link">x</a>');
+    assert.strictEqual(MessageFormat.sanitize('<a href="java\nscript:alert(1)">x</a>'), '<a class="text-link">x</a>');
+    assert.strictEqual(MessageFormat.sanitize('<a href=" \u0001javascript:alert(1)">x</a>'), '<a class="text-link">x</a>');
+    assert.strictEqual(MessageFormat.isSafeUrl('java\tscript:alert(1)'), false);
+    assert.strictEqual(MessageFormat.isSafeUrl('java\nscript:alert(1)'), false);
+});
+
+test('drops javascript: links passed through escaped arguments', () => {
+    ['java\tscript:alert(1)', 'java\nscript:alert(1)', 'javascript:alert(1)'].forEach(url => {
+        const html = MessageFormat.format('<a href="{url}">link</a>', { url }, 'en', { escape: true });
+        assert.strictEqual(MessageFormat.sanitize(html), '<a class="text-link">link</a>');
+    });
+});
+
+test('escapes arguments and strips tags that are not allowed', () => {
+    const html = MessageFormat.format('<strong>{name}</strong>', { name: '<img src=x onerror=alert(1)>' }, 'en', { escape: true });
+    assert.strictEqual(MessageFormat.sanitize(html), '<strong>&lt;img src=x onerror=alert(1)&gt;</strong>');
+    assert.strictEqual(MessageFormat.sanitize('<script>alert(1)</script>ok'), 'alert(1)ok');
+});
+
+test('formats Czech plurals', () => {
+    const message = '{count, plural, one {# aplikace} few {# aplikace} other {# aplikací}}';
+    assert.strictEqual(MessageFormat.format(message, { count: 1 }, 'cs'), '1 aplikace');
+    assert.strictEqual(MessageFormat.format(message, { count: 3 }, 'cs'), '3 aplikace');
+    assert.strictEqual(MessageFormat.format(message, { count: 5 }, 'cs'), '5 aplikací');
+});
@@ -0,0 +1,59 @@
+/**
+ * PolicyParser tests - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PolicyParser = require('../js/policy-parser.js');
+
+const link = (href, text) => ({ type: 'link', href, children: [{ type: 'text', value: text }] });
+
+test('parses inline links', () => {
+    assert.deepStrictEqual(PolicyParser.parseInline('See [our site](https://indietapstudio.eu).'), [
+        { type: 'text', value: 'See ' },
+        link('https://indietapstudio.eu', 'our site'),
+        { type: 'text', value: '.' }
+    ]);
+});
+
+test('keeps balanced parentheses in inline link targets', () => {
+    assert.deepStrictEqual(PolicyParser.parseInline('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)) here'), [
+        link('https://en.wikipedia.org/wiki/Foo_(bar)', 'Foo'),
+        { type: 'text', value: ' here' }
+    ]);
+    assert.deepStrictEqual(PolicyParser.parseInline('([GDPR](https://example.com/a_(b)_c))'), [
+        { type: 'text', value: '(' },
+        link('https://example.com/a_(b)_c', 'GDPR'),
+        { type: 'text', value: ')' }
+    ]);
+});
+
+test('trims punctuation and unbalanced parentheses from bare URLs', () => {
+    assert.deepStrictEqual(PolicyParser.parseInline('(see https://en.wikipedia.org/wiki/Foo_(bar)).'), [
+        { type: 'text', value: '(see ' },
+        link('https://en.wikipedia.org/wiki/Foo_(bar)', 'https://en.wikipedia.org/wiki/Foo_(bar)'),
+        { type: 'text', value: ').' }
+    ]);
+});
+
+test('parses bold text and email addresses', () => {
+    assert.deepStrictEqual(PolicyParser.parseInline('**Contact**: info@indietapstudio.eu'), [
+        { type: 'strong', children: [{ type: 'text', value: 'Contact' }] },
+        { type: 'text', value: ': ' },
+        link('mailto:info@indietapstudio.eu', 'info@indietapstudio.eu')
+    ]);
+});
+
+test('parses headings with shared section ids, lists and definitions', () => {
+    const tree = PolicyParser.parse([
+        '## DATA WE COLLECT {#data-we-collect}',
+        '- Device model',
+        '  - OS version',
+        'Contact: info@indietapstudio.eu'
+    ].join('\n'));
+
+    assert.deepStrictEqual(tree.children.map(block => block.type), ['heading', 'list', 'definitions']);
+    assert.strictEqual(tree.children[0].id, 'data-we-collect');
+    assert.strictEqual(tree.children[1].items[0].lists[0].items.length, 1);
+    assert.strictEqual(tree.children[2].items[0].term, 'Contact');
+});
@@ -0,0 +1,52 @@
+/**
+ * Route table tests (js/script.js) - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// script.js is a browser script: run it with just enough of a page around it to define ROUTES
+function loadScript() {
+    const noop = () => {};
+    const context = vm.createContext({
+        siteCore: { register: noop, on: noop },
+        window: { addEventListener: noop },
+        IntersectionObserver: class { observe() {} }
+    });
+
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'script.js'), 'utf8'), context);
+    return file => vm.runInContext('findRoute', context)(file);
+}
+
+const findRoute = loadScript();
+
+test('matches the index page with and without a file name', () => {
+    assert.strictEqual(findRoute('').nav, 'apps');
+    assert.strictEqual(findRoute('index.html').nav, 'apps');
+    assert.deepStrictEqual(Object.keys(findRoute('index.html').sections), ['hero', 'apps']);
+});
+
+test('matches the other pages to their header link', () => {
+    assert.strictEqual(findRoute('about.html').nav, 'about');
+    assert.strictEqual(findRoute('contact.html').nav, 'contact');
+    assert.strictEqual(findRoute('roadmap.html').nav, 'apps');
+});
+
+test('matches the studio privacy.html and terms.html', () => {
+    assert.strictEqual(findRoute('privacy.html').nav, 'apps');
+    assert.strictEqual(findRoute('terms.html').nav, 'apps');
+});
+
+test('matches policy.html and the prerendered app policies', () => {
+    ['policy.html', 'clickoji-terms.html', 'couplefy-privacy.html', 'pushitidareyou-privacy.html'].forEach(file => {
+        assert.strictEqual(findRoute(file).nav, 'apps', file);
+    });
+});
+
+test('leaves unknown pages without a route', () => {
+    assert.strictEqual(findRoute('404.html'), null);
+    assert.strictEqual(findRoute('clickoji-cookies.html'), null);
+});